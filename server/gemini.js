@@ -0,0 +1,183 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+import {GoogleGenAI, Modality} from '@google/genai'
+import {generationError} from '../src/lib/errors.js'
+import {getSafetySettings, describeBlockReason} from '../src/lib/safety.js'
+import {parseDataUrl} from '../src/lib/utils.js'
+
+const defaultImageModel = 'gemini-2.5-flash-image-preview'
+const defaultVideoModel = 'veo-2.0-generate-001'
+
+const safetyFinishReasons = [
+  'SAFETY',
+  'PROHIBITED_CONTENT',
+  'BLOCKLIST',
+  'SPII',
+  'IMAGE_SAFETY'
+]
+
+const maxReplyLength = 200
+
+const apiBase = 'https://generativelanguage.googleapis.com/v1beta'
+
+const getBlockedCategories = ratings =>
+  (ratings || []).filter(rating => rating.blocked).map(r => r.category)
+
+// Models are fixed by the server's config; clients can't pick their own
+export const createGemini = ({
+  apiKey,
+  imageModel = defaultImageModel,
+  videoModel = defaultVideoModel
+}) => {
+  const ai = new GoogleGenAI({apiKey})
+
+  // Reference images follow the guest's photo, in the order the prompt
+  // refers to them. `safety` is one of the profiles in safety.js.
+  const generateImage = async ({
+    prompt,
+    inputFile,
+    references = [],
+    safety,
+    signal
+  }) => {
+    const parts = [
+      {text: prompt},
+      ...[inputFile, ...references]
+        .filter(Boolean)
+        .map(file => ({inlineData: parseDataUrl(file)}))
+    ]
+
+    const response = await ai.models.generateContent({
+      model: imageModel,
+      config: {
+        responseModalities: [Modality.TEXT, Modality.IMAGE],
+        safetySettings: getSafetySettings(safety),
+        abortSignal: signal
+      },
+      contents: [{role: 'user', parts}]
+    })
+
+    const {promptFeedback} = response
+    if (promptFeedback?.blockReason) {
+      throw generationError(
+        'safety',
+        promptFeedback.blockReasonMessage ||
+          `The prompt was blocked for ${describeBlockReason(
+            promptFeedback.blockReason,
+            getBlockedCategories(promptFeedback.safetyRatings)
+          )}`
+      )
+    }
+
+    if (!response.candidates || response.candidates.length === 0) {
+      throw generationError('noCandidates', 'The model returned no result')
+    }
+
+    const [candidate] = response.candidates
+    const {finishReason} = candidate
+    if (safetyFinishReasons.includes(finishReason)) {
+      throw generationError(
+        'safety',
+        candidate.finishMessage ||
+          `The result was blocked for ${describeBlockReason(
+            finishReason,
+            getBlockedCategories(candidate.safetyRatings)
+          )}`
+      )
+    }
+
+    // Without an image the model usually says why in text
+    const replyParts = candidate.content?.parts || []
+    const inlineDataPart = replyParts.find(p => p.inlineData)
+    if (!inlineDataPart) {
+      const reply = replyParts
+        .map(p => p.text)
+        .filter(Boolean)
+        .join(' ')
+        .trim()
+      throw generationError(
+        'noCandidates',
+        reply
+          ? `The model replied instead of drawing: "${reply.slice(
+              0,
+              maxReplyLength
+            )}"`
+          : finishReason && finishReason !== 'STOP'
+          ? `Generation stopped early (${describeBlockReason(finishReason)})`
+          : 'The model returned no image'
+      )
+    }
+
+    return 'data:image/png;base64,' + inlineDataPart.inlineData.data
+  }
+
+  // `options` have been through parseVideoOptions
+  const startVideo = ({prompt, inputFile, options}) => {
+    const {data, mimeType} = parseDataUrl(inputFile)
+    const {aspectRatio, durationSeconds, negativePrompt, numberOfVideos} =
+      options
+
+    return ai.models.generateVideos({
+      model: videoModel,
+      prompt,
+      image: {
+        imageBytes: data,
+        mimeType
+      },
+      config: {
+        numberOfVideos,
+        aspectRatio,
+        durationSeconds,
+        negativePrompt
+      }
+    })
+  }
+
+  const pollVideo = operation => ai.operations.getVideosOperation({operation})
+
+  // Asks the API to stop a job nobody is waiting for any more. The SDK has no
+  // call for this, so it goes through the REST endpoint.
+  const cancelVideo = operation =>
+    fetch(`${apiBase}/${operation.name}:cancel?key=${apiKey}`, {
+      method: 'POST'
+    })
+
+  // Resolves a finished operation to the URIs of its videos
+  const getVideoUris = operation => {
+    if (operation.error) {
+      throw Object.assign(new Error(operation.error.message), {
+        code: operation.error.code
+      })
+    }
+
+    if (operation.response?.raiMediaFilteredCount) {
+      throw generationError('safety', 'Video was blocked')
+    }
+
+    const uris = (operation.response?.generatedVideos || [])
+      .map(video => video.video?.uri)
+      .filter(Boolean)
+    if (!uris.length) {
+      throw generationError(
+        'noCandidates',
+        'Video generation failed, no download link found.'
+      )
+    }
+
+    return uris
+  }
+
+  const downloadVideo = (uri, signal) =>
+    fetch(`${uri}&key=${apiKey}`, {signal})
+
+  return {
+    generateImage,
+    startVideo,
+    pollVideo,
+    cancelVideo,
+    getVideoUris,
+    downloadVideo
+  }
+}
@@ -0,0 +1,87 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+// Standalone server for events: serves the built app from dist/ and the
+// generation proxy, e.g. `GEMINI_API_KEY=... npm run build && npm start`.
+import http from 'node:http'
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import {fileURLToPath} from 'node:url'
+import {createProxy} from './proxy.js'
+
+const root = path.resolve(fileURLToPath(import.meta.url), '../../dist')
+const port = Number(process.env.PORT) || 3000
+
+const contentTypes = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript',
+  '.css': 'text/css',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.json': 'application/json'
+}
+
+const serveStatic = async (req, res) => {
+  let urlPath
+  try {
+    urlPath = decodeURIComponent(req.url.split('?')[0])
+  } catch {
+    res.statusCode = 400
+    res.end('Bad request')
+    return
+  }
+
+  let filePath = path.join(root, path.normalize(urlPath))
+
+  if (!filePath.startsWith(root)) {
+    res.statusCode = 403
+    res.end()
+    return
+  }
+
+  try {
+    if ((await fs.stat(filePath)).isDirectory()) {
+      filePath = path.join(filePath, 'index.html')
+    }
+  } catch {
+    filePath = path.join(root, 'index.html')
+  }
+
+  try {
+    const body = await fs.readFile(filePath)
+    res.setHeader(
+      'Content-Type',
+      contentTypes[path.extname(filePath)] || 'application/octet-stream'
+    )
+    res.end(body)
+  } catch {
+    res.statusCode = 404
+    res.end('Not found')
+  }
+}
+
+const proxy = createProxy({
+  apiKey: process.env.GEMINI_API_KEY,
+  rateLimit: Number(process.env.RATE_LIMIT) || undefined,
+  shareRateLimit: Number(process.env.SHARE_RATE_LIMIT) || undefined,
+  trustProxy: process.env.TRUST_PROXY === '1',
+  publicUrl: process.env.PUBLIC_URL,
+  minSafety: process.env.MIN_SAFETY,
+  imageModel: process.env.IMAGE_MODEL,
+  videoModel: process.env.VIDEO_MODEL
+})
+
+http
+  .createServer((req, res) =>
+    proxy(req, res, () =>
+      serveStatic(req, res).catch(err => {
+        console.error(err)
+        if (!res.headersSent) {
+          res.statusCode = 500
+        }
+        res.end()
+      })
+    )
+  )
+  .listen(port, () => console.log(`GemBooth listening on :${port}`))
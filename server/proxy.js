@@ -0,0 +1,326 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+// Connect-style middleware exposing generation endpoints under /api, so the
+// API key stays on the server. Used by the Vite dev server and server/index.js.
+import {randomUUID} from 'node:crypto'
+import {createGemini} from './gemini.js'
+import {createRateLimiter} from './rateLimit.js'
+import {createShareStore, getPublicOrigin} from './shares.js'
+import {getErrorReason} from '../src/lib/errors.js'
+import {parseVideoOptions} from '../src/lib/video.js'
+import {applyMinimumProfile} from '../src/lib/safety.js'
+
+const maxBodySize = 20 * 1024 * 1024
+const operationTtl = 60 * 60 * 1000
+
+const statusByReason = {
+  quota: 429,
+  safety: 422,
+  noCandidates: 502,
+  timeout: 504,
+  unknown: 500
+}
+
+const httpError = (status, message) =>
+  Object.assign(new Error(message), {httpStatus: status})
+
+const readBody = req =>
+  new Promise((resolve, reject) => {
+    const chunks = []
+    let size = 0
+
+    req.on('data', chunk => {
+      size += chunk.length
+      if (size > maxBodySize) {
+        reject(httpError(413, 'Request body too large'))
+        req.destroy()
+        return
+      }
+      chunks.push(chunk)
+    })
+    req.on('end', () => resolve(Buffer.concat(chunks)))
+    req.on('error', reject)
+  })
+
+const readJson = async req => {
+  const body = await readBody(req)
+  try {
+    return JSON.parse(body.toString('utf8'))
+  } catch {
+    throw httpError(400, 'Invalid JSON body')
+  }
+}
+
+const sendJson = (res, status, body) => {
+  res.statusCode = status
+  res.setHeader('Content-Type', 'application/json')
+  res.end(JSON.stringify(body))
+}
+
+const sendError = (res, error) => {
+  const reason = getErrorReason(error)
+  const status = error.httpStatus || statusByReason[reason] || 500
+  if (error.retryAfter) {
+    res.setHeader('Retry-After', error.retryAfter)
+  }
+  sendJson(res, status, {error: {reason, message: error.message}})
+}
+
+// Shares are guest photos and videos only. Anything a browser could run as a
+// document (SVG included) is served as a download rather than inline.
+const shareTypes = /^(image|video)\//
+const inlineShareTypes = [
+  'image/png',
+  'image/jpeg',
+  'image/gif',
+  'image/webp',
+  'video/mp4',
+  'video/webm'
+]
+
+export const createProxy = ({
+  apiKey,
+  rateLimit = 20,
+  shareRateLimit = 30,
+  trustProxy = false,
+  publicUrl,
+  minSafety,
+  imageModel,
+  videoModel,
+  log = console.log
+}) => {
+  const generationLimit = createRateLimiter({max: rateLimit, windowMs: 60_000})
+  const shareLimit = createRateLimiter({max: shareRateLimit, windowMs: 60_000})
+  const operations = new Map()
+  const shares = createShareStore({})
+  let gemini
+
+  const getGemini = () => {
+    if (!apiKey) {
+      throw httpError(500, 'GEMINI_API_KEY is not set on the server')
+    }
+    gemini ||= createGemini({apiKey, imageModel, videoModel})
+    return gemini
+  }
+
+  const getClientId = req =>
+    (trustProxy && req.headers['x-forwarded-for']?.split(',')[0].trim()) ||
+    req.socket.remoteAddress
+
+  // Generations and share uploads count against separate per-client limits,
+  // and only once they're valid and about to be run or stored. Polls and
+  // downloads don't count.
+  const checkLimit = (req, limit) => {
+    const retryAfter = limit(getClientId(req))
+    if (retryAfter) {
+      throw Object.assign(httpError(429, 'Too many requests, slow down'), {
+        reason: 'quota',
+        retryAfter
+      })
+    }
+  }
+
+  const getOperation = id => {
+    const entry = operations.get(id)
+    if (!entry) {
+      throw httpError(404, 'Unknown video job')
+    }
+    return entry
+  }
+
+  const routes = {
+    'POST /api/image': async (req, res, signal) => {
+      const {prompt, inputFile, references, safety} = await readJson(req)
+      const api = getGemini()
+      checkLimit(req, generationLimit)
+      const image = await api.generateImage({
+        prompt,
+        inputFile,
+        references: Array.isArray(references) ? references : [],
+        safety: applyMinimumProfile(safety, minSafety),
+        signal
+      })
+      sendJson(res, 200, {image})
+    },
+
+    'POST /api/video': async (req, res) => {
+      const {prompt, inputFile, options} = await readJson(req)
+      const api = getGemini()
+      checkLimit(req, generationLimit)
+      const operation = await api.startVideo({
+        prompt,
+        inputFile,
+        options: parseVideoOptions(options)
+      })
+      const id = randomUUID()
+      operations.set(id, {
+        operation,
+        createdAt: Date.now(),
+        downloaded: new Set()
+      })
+      sendJson(res, 202, {id})
+    },
+
+    'GET /api/video/:id': async (req, res, signal, id) => {
+      const entry = getOperation(id)
+      if (!entry.operation.done) {
+        entry.operation = await getGemini().pollVideo(entry.operation)
+      }
+      const count = entry.operation.done
+        ? getGemini().getVideoUris(entry.operation).length
+        : 0
+      sendJson(res, 200, {done: !!entry.operation.done, count})
+    },
+
+    // Sent when the guest cancels or the client gives up waiting, so the job
+    // stops running (and billing) upstream
+    'DELETE /api/video/:id': async (req, res, signal, id) => {
+      const entry = operations.get(id)
+      operations.delete(id)
+      if (entry && !entry.operation.done) {
+        const response = await getGemini().cancelVideo(entry.operation)
+        if (!response.ok) {
+          log(`Could not cancel video job ${id} (${response.status})`)
+        }
+      }
+      res.statusCode = 204
+      res.end()
+    },
+
+    // `?index=` picks one of several candidates; the job is dropped once
+    // they've all been fetched
+    'GET /api/video/:id/file': async (req, res, signal, id) => {
+      const entry = getOperation(id)
+      const uris = getGemini().getVideoUris(entry.operation)
+      const index =
+        Number(
+          new URL(req.url, 'http://localhost').searchParams.get('index')
+        ) || 0
+      const uri = uris[index]
+      if (!uri) {
+        throw httpError(404, 'Unknown video candidate')
+      }
+
+      const response = await getGemini().downloadVideo(uri, signal)
+      if (!response.ok) {
+        throw httpError(502, `Video download failed (${response.status})`)
+      }
+
+      res.statusCode = 200
+      res.setHeader(
+        'Content-Type',
+        response.headers.get('content-type') || 'video/mp4'
+      )
+      res.end(Buffer.from(await response.arrayBuffer()))
+      entry.downloaded.add(index)
+      if (entry.downloaded.size === uris.length) {
+        operations.delete(id)
+      }
+    },
+
+    'POST /api/share': async (req, res) => {
+      const type = (req.headers['content-type'] || '')
+        .split(';')[0]
+        .trim()
+        .toLowerCase()
+      if (!shareTypes.test(type)) {
+        throw httpError(415, 'Only photos and videos can be shared')
+      }
+
+      const body = await readBody(req)
+      checkLimit(req, shareLimit)
+      const id = shares.put({
+        body,
+        type,
+        name: String(req.headers['x-file-name'] || 'gembooth').replace(
+          /[^\w.-]/g,
+          '_'
+        )
+      })
+      sendJson(res, 201, {
+        id,
+        url: `${getPublicOrigin(req, publicUrl)}/api/share/${id}`
+      })
+    },
+
+    'GET /api/share/:id': async (req, res, signal, id) => {
+      const item = shares.get(id)
+      if (!item) {
+        throw httpError(404, 'This photo has expired')
+      }
+
+      const disposition = inlineShareTypes.includes(item.type)
+        ? 'inline'
+        : 'attachment'
+      res.statusCode = 200
+      res.setHeader('Content-Type', item.type)
+      res.setHeader('X-Content-Type-Options', 'nosniff')
+      res.setHeader(
+        'Content-Disposition',
+        `${disposition}; filename="${item.name}"`
+      )
+      res.end(item.body)
+    }
+  }
+
+  const compiledRoutes = Object.entries(routes).map(([key, handler]) => {
+    const [method, pattern] = key.split(' ')
+    const regex = new RegExp(`^${pattern.replace(/:\w+/g, '([\\w-]+)')}$`)
+    return {method, regex, handler}
+  })
+
+  const match = (method, path) => {
+    for (const route of compiledRoutes) {
+      const params = route.method === method && path.match(route.regex)
+      if (params) {
+        return [route, params[1]]
+      }
+    }
+    return []
+  }
+
+  return async (req, res, next) => {
+    const path = req.url.split('?')[0]
+    if (!path.startsWith('/api/')) {
+      next()
+      return
+    }
+
+    const start = Date.now()
+    const clientId = getClientId(req)
+    const controller = new AbortController()
+
+    res.on('close', () => {
+      if (!res.writableEnded) {
+        controller.abort()
+      }
+      log(
+        `${new Date().toISOString()} ${clientId} ${req.method} ${path} ` +
+          `${res.statusCode} ${Date.now() - start}ms`
+      )
+    })
+
+    for (const [id, {createdAt}] of operations) {
+      if (start - createdAt > operationTtl) {
+        operations.delete(id)
+      }
+    }
+
+    const [route, id] = match(req.method, path)
+    if (!route) {
+      sendJson(res, 404, {error: {reason: 'unknown', message: 'Not found'}})
+      return
+    }
+
+    try {
+      await route.handler(req, res, controller.signal, id)
+    } catch (error) {
+      if (controller.signal.aborted) {
+        return
+      }
+      sendError(res, error)
+    }
+  }
+}
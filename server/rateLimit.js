@@ -0,0 +1,29 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+// Fixed-window limiter keyed by client. Returns the number of seconds until
+// the client may retry, or 0 when the request is allowed.
+export const createRateLimiter = ({max, windowMs}) => {
+  const windows = new Map()
+
+  return key => {
+    const now = Date.now()
+
+    for (const [k, w] of windows) {
+      if (now - w.start >= windowMs) {
+        windows.delete(k)
+      }
+    }
+
+    const window = windows.get(key) || {start: now, count: 0}
+    windows.set(key, window)
+
+    if (window.count >= max) {
+      return Math.ceil((window.start + windowMs - now) / 1000)
+    }
+
+    window.count++
+    return 0
+  }
+}
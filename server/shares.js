@@ -0,0 +1,74 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+// Short-lived in-memory store for outputs guests pull onto their phones by
+// scanning a QR code. Nothing is written to disk, so both the number of items
+// and their total size are capped; the oldest go first.
+import os from 'node:os'
+import {randomUUID} from 'node:crypto'
+
+export const createShareStore = ({
+  ttl = 60 * 60 * 1000,
+  maxItems = 200,
+  maxBytes = 500 * 1024 * 1024
+}) => {
+  const items = new Map()
+  let totalBytes = 0
+
+  const remove = id => {
+    totalBytes -= items.get(id).body.length
+    items.delete(id)
+  }
+
+  // Reads only drop expired items; the size caps apply when `incoming` bytes
+  // are about to be added
+  const prune = incoming => {
+    const now = Date.now()
+    for (const [id, item] of items) {
+      if (
+        now - item.createdAt > ttl ||
+        (incoming !== undefined &&
+          (items.size >= maxItems || totalBytes + incoming > maxBytes))
+      ) {
+        remove(id)
+      }
+    }
+  }
+
+  return {
+    put: ({body, type, name}) => {
+      prune(body.length)
+      const id = randomUUID()
+      items.set(id, {body, type, name, createdAt: Date.now()})
+      totalBytes += body.length
+      return id
+    },
+    get: id => {
+      prune()
+      return items.get(id)
+    }
+  }
+}
+
+const isLoopback = host => /^(localhost|127\.|\[::1\])/.test(host)
+
+// The URL phones should use to reach this server. When the booth itself runs
+// on localhost, the machine's LAN address is used instead.
+export const getPublicOrigin = (req, publicUrl) => {
+  if (publicUrl) {
+    return publicUrl.replace(/\/$/, '')
+  }
+
+  const host = req.headers.host || 'localhost'
+  if (!isLoopback(host)) {
+    return `http://${host}`
+  }
+
+  const port = host.split(':')[1]
+  const lanAddress = Object.values(os.networkInterfaces())
+    .flat()
+    .find(({family, internal}) => family === 'IPv4' && !internal)?.address
+
+  return `http://${lanAddress || 'localhost'}${port ? `:${port}` : ''}`
+}
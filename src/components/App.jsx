@@ -2,30 +2,100 @@
  * @license
  * SPDX-License-Identifier: Apache-2.0
 */
-import {useRef, useState, useCallback} from 'react'
+import {useRef, useState, useCallback, useEffect, useMemo} from 'react'
 import c from 'clsx'
 import {
   snapPhoto,
   setMode,
   deletePhoto,
-  makeGif,
   hideGif,
-  setCustomPrompt
+  exportSlideshow,
+  dismissExportError,
+  exportArchive,
+  setCustomPrompt,
+  retryPhoto,
+  getOutputFileName,
+  snapStrip,
+  setCountdown,
+  toggleBurstMode,
+  toggleMultiMode,
+  toggleSelectedMode,
+  setPromptValues,
+  setReferenceValues,
+  getBrandedUrl,
+  endSession,
+  setCamera,
+  generatePreview,
+  printPhoto
 } from '../lib/actions'
+import {errorReasons, getErrorReason, isAbortError} from '../lib/errors'
+import {capabilities} from '../lib/llm'
 import useStore from '../lib/store'
 import imageData from '../lib/imageData'
-import modes from '../lib/modes'
+import {getEffect} from '../lib/effects'
+import CompareGrid from './CompareGrid'
+import StageScrubber from './StageScrubber'
+import VersionHistory from './VersionHistory'
+import VideoCandidates from './VideoCandidates'
+import BrandedImage from './BrandedImage'
+import BrandingPanel from './BrandingPanel'
+import PrintPanel from './PrintPanel'
+import OperatorPanel from './OperatorPanel'
+import CameraPanel from './CameraPanel'
+import SafetyPanel from './SafetyPanel'
+import LivePreview from './LivePreview'
+import JobStatus from './JobStatus'
+import QueuePanel from './QueuePanel'
+import {getLocalSteps} from '../lib/pipeline'
+import {rootVersionId} from '../lib/versions'
+import {isModeAllowed} from '../lib/kiosk'
+import {checkPrompt} from '../lib/safety'
+import {
+  captureAspects,
+  openCamera,
+  getCameraError,
+  captureFrame
+} from '../lib/camera'
+import ModeLibrary from './ModeLibrary'
+import PromptVariables from './PromptVariables'
+import ReferencePicker from './ReferencePicker'
+import ShareSheet from './ShareSheet'
+import GifEditor from './GifEditor'
+import {getModeVariables} from '../lib/prompts'
+import {getModeReferences, getReferenceKey} from '../lib/references'
+import {sleep} from '../lib/utils'
+import {ingestFiles, acceptedTypes} from '../lib/ingest'
+import {useNow, formatDuration} from '../lib/time'
 
-const canvas = document.createElement('canvas')
-const ctx = canvas.getContext('2d')
-const modeKeys = Object.keys(modes)
+const countdownOptions = [0, 3, 5, 10]
+const burstCount = 4
+const burstInterval = 2
 
 export default function App() {
   const photos = useStore.use.photos()
+  const modes = useStore.use.modes()
+  const modeOrder = useStore.use.modeOrder()
   const customPrompt = useStore.use.customPrompt()
   const activeMode = useStore.use.activeMode()
   const gifInProgress = useStore.use.gifInProgress()
   const gifUrl = useStore.use.gifUrl()
+  const exportInProgress = useStore.use.exportInProgress()
+  const exportProgress = useStore.use.exportProgress()
+  const exportError = useStore.use.exportError()
+  const countdown = useStore.use.countdown()
+  const burstMode = useStore.use.burstMode()
+  const multiMode = useStore.use.multiMode()
+  const selectedModes = useStore.use.selectedModes()
+  const promptValues = useStore.use.promptValues()
+  const referenceValues = useStore.use.referenceValues()
+  const stockReferences = useStore.use.stockReferences()
+  const branding = useStore.use.branding()
+  const printQueue = useStore.use.printQueue()
+  const printInProgress = useStore.use.printInProgress()
+  const kiosk = useStore.use.kiosk()
+  const camera = useStore.use.camera()
+  const safety = useStore.use.safety()
+  const queue = useStore.use.queue()
   const [videoActive, setVideoActive] = useState(false)
   const [didInitVideo, setDidInitVideo] = useState(false)
   const [focusedId, setFocusedId] = useState(null)
@@ -33,54 +103,289 @@ export default function App() {
   const [hoveredMode, setHoveredMode] = useState(null)
   const [tooltipPosition, setTooltipPosition] = useState({top: 0, left: 0})
   const [showCustomPrompt, setShowCustomPrompt] = useState(false)
+  const [showModeLibrary, setShowModeLibrary] = useState(false)
+  const [showBranding, setShowBranding] = useState(false)
+  const [printTarget, setPrintTarget] = useState(null)
+  // Kiosk guests get one copy of each photo
+  const [printedIds, setPrintedIds] = useState([])
+  const [showOperator, setShowOperator] = useState(false)
+  const [showAttract, setShowAttract] = useState(kiosk.enabled)
+  const [showCamera, setShowCamera] = useState(false)
+  const [showQueue, setShowQueue] = useState(false)
+  const [showSafety, setShowSafety] = useState(false)
+  const [showRefine, setShowRefine] = useState(false)
+  const [cameraError, setCameraError] = useState(null)
+  const [aiPreview, setAiPreview] = useState(null)
+  const [variableRequest, setVariableRequest] = useState(null)
+  const [referenceRequest, setReferenceRequest] = useState(null)
+  const [shareTarget, setShareTarget] = useState(null)
+  const [showGifEditor, setShowGifEditor] = useState(false)
+  const [countdownValue, setCountdownValue] = useState(null)
+  const [isCapturing, setIsCapturing] = useState(false)
+  const [isDragging, setIsDragging] = useState(false)
+  const [uploadErrors, setUploadErrors] = useState([])
   const videoRef = useRef(null)
+  const streamRef = useRef(null)
+  const previewControllerRef = useRef(null)
   const fileInputRef = useRef(null)
+  const handleFilesRef = useRef(null)
+
+  // Pipelines take the shape of their last step
+  const isWideMode = mode => {
+    const {effect, steps} = modes[mode] || {}
+    return getEffect(steps ? steps.at(-1).effect : effect)?.isWide
+  }
 
   const focusedPhoto = focusedId ? photos.find(p => p.id === focusedId) : null
+  // Multi-mode photos have several outputs and videos can't be edited
+  const canRefine =
+    focusedPhoto && !focusedPhoto.variants && !focusedPhoto.isVideo
+  const readyCount = photos.filter(p => !p.isBusy && !p.error).length
+  const waitingCount = queue.jobs.filter(j => j.status === 'waiting').length
+  const now = useNow(!!queue.backoffUntil)
+
+  const availableModes = modeOrder
+    .filter(key => modes[key])
+    .map(key => [key, modes[key]])
+    .filter(
+      ([key, {isVideo, hidden}]) =>
+        !hidden && (!isVideo || capabilities.video) && isModeAllowed(kiosk, key)
+    )
+
+  // Local modes are previewed live; the rest can be previewed on demand
+  const localSteps = useMemo(
+    () => getLocalSteps(modes[activeMode]),
+    [modes, activeMode]
+  )
+  // Each preview is a full model call, so unattended guests don't get them
+  const canPreview =
+    !localSteps && !modes[activeMode]?.isVideo && !kiosk.enabled
 
+  const getEmoji = mode =>
+    mode === 'custom' ? '✏️' : modes[mode]?.emoji || '🖼️'
+
+  // Strips are a single mode's output, so they're off for videos and while
+  // several modes are selected
+  const canBurst = !multiMode && !modes[activeMode]?.isVideo
+
+  const isModeActive = key =>
+    multiMode ? selectedModes.includes(key) : key === activeMode
+
+  const selectMode = key => (multiMode ? toggleSelectedMode(key) : setMode(key))
+
+  const blockedTerm = checkPrompt(customPrompt, safety)
+
+  const getStream = async () => {
+    try {
+      return await openCamera(camera)
+    } catch (err) {
+      // A saved camera that has since been unplugged falls back to the default
+      if (!camera.deviceId || err.name !== 'OverconstrainedError') {
+        throw err
+      }
+      setCamera({deviceId: null})
+      return openCamera({...camera, deviceId: null})
+    }
+  }
+
+  // Phones often can't open a second camera while the first is still held,
+  // so the running stream is stopped before switching
   const startVideo = async () => {
     setDidInitVideo(true)
-    const stream = await navigator.mediaDevices.getUserMedia({
-      video: {width: {ideal: 1920}, height: {ideal: 1080}},
-      audio: false,
-      facingMode: {ideal: 'user'}
-    })
-    setVideoActive(true)
-    videoRef.current.srcObject = stream
+    setCameraError(null)
+    streamRef.current?.getTracks().forEach(track => track.stop())
+    streamRef.current = null
+
+    try {
+      const stream = await getStream()
+      streamRef.current = stream
+      videoRef.current.srcObject = stream
+      setVideoActive(true)
 
-    const {width, height} = stream.getVideoTracks()[0].getSettings()
-    const squareSize = Math.min(width, height)
-    canvas.width = squareSize
-    canvas.height = squareSize
+      // Fires when the camera is unplugged or taken away by the system
+      stream.getVideoTracks()[0].addEventListener('ended', () => {
+        if (streamRef.current === stream) {
+          streamRef.current = null
+          setVideoActive(false)
+          setDidInitVideo(false)
+          setCameraError('The camera was disconnected.')
+        }
+      })
+    } catch (err) {
+      console.error('Could not start the camera', err)
+      // Back to the start screen, where the error is shown with a retry
+      setVideoActive(false)
+      setCameraError(getCameraError(err))
+      setDidInitVideo(false)
+    }
   }
 
-  const takePhoto = () => {
-    const video = videoRef.current
-    const {videoWidth, videoHeight} = video
-    const squareSize = canvas.width
-    const sourceSize = Math.min(videoWidth, videoHeight)
-    const sourceX = (videoWidth - sourceSize) / 2
-    const sourceY = (videoHeight - sourceSize) / 2
-
-    ctx.clearRect(0, 0, squareSize, squareSize)
-    ctx.setTransform(1, 0, 0, 1, 0, 0)
-    ctx.scale(-1, 1)
-    ctx.drawImage(
-      video,
-      sourceX,
-      sourceY,
-      sourceSize,
-      sourceSize,
-      -squareSize,
-      0,
-      squareSize,
-      squareSize
-    )
-    snapPhoto(canvas.toDataURL('image/jpeg'))
+  // Switching cameras restarts a running stream
+  useEffect(() => {
+    if (streamRef.current) {
+      startVideo()
+    }
+  }, [camera.deviceId, camera.facingMode])
+
+  const isGenerating = photos.some(
+    ({isBusy, isRefining}) => isBusy || isRefining
+  )
+
+  // A kiosk session ends once nobody has touched the booth for a while. The
+  // clock doesn't run while a guest is waiting on a result, and starts over
+  // once it arrives.
+  useEffect(() => {
+    if (!kiosk.enabled || isGenerating) {
+      return
+    }
+
+    let timer
+    const events = ['pointerdown', 'keydown']
+    const resetTimer = () => {
+      clearTimeout(timer)
+      timer = setTimeout(() => {
+        endSession()
+        setFocusedId(null)
+        setShareTarget(null)
+        setPrintTarget(null)
+        setPrintedIds([])
+        setShowOperator(false)
+        setShowAttract(true)
+      }, kiosk.timeout * 1000)
+    }
+
+    resetTimer()
+    events.forEach(name => window.addEventListener(name, resetTimer))
+
+    return () => {
+      clearTimeout(timer)
+      events.forEach(name => window.removeEventListener(name, resetTimer))
+    }
+  }, [kiosk.enabled, kiosk.timeout, isGenerating])
+
+  const closePreview = () => {
+    previewControllerRef.current?.abort()
+    previewControllerRef.current = null
+    setAiPreview(null)
+  }
+
+  const runPreview = async () => {
+    closePreview()
+    const controller = new AbortController()
+    previewControllerRef.current = controller
+    setAiPreview({isBusy: true})
+
+    try {
+      const url = await generatePreview(
+        captureFrame(videoRef.current, camera, 384),
+        controller.signal
+      )
+      if (!controller.signal.aborted) {
+        setAiPreview({url})
+      }
+    } catch (err) {
+      if (!controller.signal.aborted && !isAbortError(err)) {
+        setAiPreview({error: errorReasons[getErrorReason(err)]})
+      }
+    }
+  }
+
+  // A preview only makes sense for the mode it was made with
+  useEffect(closePreview, [activeMode])
+
+  useEffect(() => setShowRefine(false), [focusedId])
+
+  const flash = () => {
     setDidJustSnap(true)
     setTimeout(() => setDidJustSnap(false), 1000)
   }
 
+  const runCountdown = async seconds => {
+    for (let n = seconds; n > 0; n--) {
+      setCountdownValue(n)
+      await sleep(1000)
+    }
+    setCountdownValue(null)
+  }
+
+  // Asks for the values of any template variables in the modes about to run.
+  // Resolves to false if the guest backs out.
+  const confirmVariables = () => {
+    const variables = (multiMode ? selectedModes : [activeMode])
+      .flatMap(key =>
+        getModeVariables(key === 'custom' ? {prompt: customPrompt} : modes[key])
+      )
+      .filter((v, i, all) => all.findIndex(w => w.name === v.name) === i)
+
+    if (!variables.length) {
+      return Promise.resolve(true)
+    }
+
+    return new Promise(resolve => setVariableRequest({variables, resolve}))
+  }
+
+  // Asks for the reference images of the modes about to run, unless they're
+  // all stock images an operator has attached. Resolves to false if the guest
+  // backs out.
+  const confirmReferences = (
+    modeKeys = multiMode ? selectedModes : [activeMode]
+  ) => {
+    const slots = modeKeys
+      .filter(key => !modes[key]?.isVideo)
+      .flatMap(key =>
+        getModeReferences(modes[key]).map(reference => ({
+          ...reference,
+          key: getReferenceKey(key, reference.name),
+          modeName: modes[key].name
+        }))
+      )
+
+    if (
+      slots.every(({key, source}) => source === 'stock' && stockReferences[key])
+    ) {
+      return Promise.resolve(true)
+    }
+
+    return new Promise(resolve => setReferenceRequest({slots, resolve}))
+  }
+
+  const takePhoto = async () => {
+    if (isCapturing) {
+      return
+    }
+
+    // Catch a blocked custom prompt here so the guest can edit it rather than
+    // waiting for the generation to fail
+    if (isModeActive('custom') && blockedTerm) {
+      setShowCustomPrompt(true)
+      return
+    }
+
+    setIsCapturing(true)
+
+    try {
+      if (!(await confirmVariables()) || !(await confirmReferences())) {
+        return
+      }
+
+      if (canBurst && burstMode) {
+        const frames = []
+        for (let i = 0; i < burstCount; i++) {
+          await runCountdown(i === 0 ? countdown : burstInterval)
+          frames.push(captureFrame(videoRef.current, camera))
+          flash()
+        }
+        snapStrip(frames)
+      } else {
+        await runCountdown(countdown)
+        snapPhoto(captureFrame(videoRef.current, camera))
+        flash()
+      }
+    } finally {
+      setIsCapturing(false)
+    }
+  }
+
   const downloadFile = (url, name) => {
     const a = document.createElement('a')
     a.href = url
@@ -110,32 +415,163 @@ export default function App() {
     fileInputRef.current.click()
   }
 
+  // Uploaded, dropped and pasted files all go through the same checks; the
+  // guest confirms prompt values and references once for the whole batch.
+  const handleFiles = async files => {
+    if (!files.length) {
+      return
+    }
+
+    const {images, errors} = await ingestFiles(files)
+    setUploadErrors(errors)
+
+    if (
+      images.length &&
+      (await confirmVariables()) &&
+      (await confirmReferences())
+    ) {
+      images.forEach(image => snapPhoto(image))
+      flash()
+    }
+  }
+
   const handleFileChange = e => {
-    const file = e.target.files[0]
-    if (file) {
-      const reader = new FileReader()
-      reader.onload = loadEvent => {
-        snapPhoto(loadEvent.target.result)
-        setDidJustSnap(true)
-        setTimeout(() => setDidJustSnap(false), 1000)
+    handleFiles([...e.target.files])
+    e.target.value = ''
+  }
+
+  // The listener stays put; the ref gives it the latest handleFiles, which
+  // sees the current modes
+  handleFilesRef.current = handleFiles
+
+  useEffect(() => {
+    if (kiosk.enabled) {
+      return
+    }
+
+    const handlePaste = e => {
+      const files = [...e.clipboardData.files]
+      if (files.length) {
+        e.preventDefault()
+        handleFilesRef.current(files)
       }
-      reader.readAsDataURL(file)
     }
-  }
+
+    window.addEventListener('paste', handlePaste)
+    return () => window.removeEventListener('paste', handlePaste)
+  }, [kiosk.enabled])
 
   return (
-    <main>
+    <main
+      className={c({kiosk: kiosk.enabled})}
+      onDragOver={e => {
+        if (!kiosk.enabled && e.dataTransfer.types.includes('Files')) {
+          e.preventDefault()
+          setIsDragging(true)
+        }
+      }}
+      onDragLeave={e => {
+        if (!e.currentTarget.contains(e.relatedTarget)) {
+          setIsDragging(false)
+        }
+      }}
+      onDrop={e => {
+        if (!kiosk.enabled) {
+          e.preventDefault()
+          setIsDragging(false)
+          handleFiles([...e.dataTransfer.files])
+        }
+      }}
+    >
       <input
         type="file"
         ref={fileInputRef}
         style={{display: 'none'}}
-        accept="image/*"
+        accept={acceptedTypes}
+        multiple
         onChange={handleFileChange}
       />
+      {isDragging && (
+        <div className="dropTarget">
+          <span className="icon">upload</span>
+          Drop photos to snap them
+        </div>
+      )}
       <div
         className="video"
         onClick={() => (gifUrl ? hideGif() : setFocusedId(null))}
       >
+        {variableRequest && (
+          <PromptVariables
+            variables={variableRequest.variables}
+            values={promptValues}
+            onSubmit={values => {
+              setPromptValues(values)
+              setVariableRequest(null)
+              variableRequest.resolve(true)
+            }}
+            onCancel={() => {
+              setVariableRequest(null)
+              variableRequest.resolve(false)
+            }}
+          />
+        )}
+        {referenceRequest && (
+          <ReferencePicker
+            slots={referenceRequest.slots}
+            values={referenceValues}
+            canAttach={!kiosk.enabled}
+            onSubmit={values => {
+              setReferenceValues(values)
+              setReferenceRequest(null)
+              referenceRequest.resolve(true)
+            }}
+            onCancel={() => {
+              setReferenceRequest(null)
+              referenceRequest.resolve(false)
+            }}
+          />
+        )}
+        {showGifEditor && <GifEditor onClose={() => setShowGifEditor(false)} />}
+        {shareTarget && (
+          <ShareSheet {...shareTarget} onClose={() => setShareTarget(null)} />
+        )}
+        {showModeLibrary && (
+          <ModeLibrary onClose={() => setShowModeLibrary(false)} />
+        )}
+        {showBranding && (
+          <BrandingPanel onClose={() => setShowBranding(false)} />
+        )}
+        {showOperator && (
+          <OperatorPanel
+            onClose={() => setShowOperator(false)}
+            onOpen={panel => {
+              setShowOperator(false)
+              if (panel === 'modes') {
+                setShowModeLibrary(true)
+              } else if (panel === 'branding') {
+                setShowBranding(true)
+              } else if (panel === 'camera') {
+                setShowCamera(true)
+              } else if (panel === 'queue') {
+                setShowQueue(true)
+              } else if (panel === 'safety') {
+                setShowSafety(true)
+              } else {
+                setPrintTarget({photoId: null})
+              }
+            }}
+          />
+        )}
+        {showCamera && <CameraPanel onClose={() => setShowCamera(false)} />}
+        {showQueue && <QueuePanel onClose={() => setShowQueue(false)} />}
+        {showSafety && <SafetyPanel onClose={() => setShowSafety(false)} />}
+        {printTarget && (
+          <PrintPanel
+            photoId={printTarget.photoId}
+            onClose={() => setPrintTarget(null)}
+          />
+        )}
         {showCustomPrompt && (
           <div className="customPrompt">
             <button
@@ -144,7 +580,11 @@ export default function App() {
                 setShowCustomPrompt(false)
 
                 if (customPrompt.trim().length === 0) {
-                  setMode(modeKeys[0])
+                  if (multiMode) {
+                    toggleSelectedMode('custom')
+                  } else {
+                    setMode(availableModes[0]?.[0] || 'custom')
+                  }
                 }
               }}
             >
@@ -161,75 +601,249 @@ export default function App() {
                 }
               }}
             />
+            {blockedTerm && (
+              <p className="promptWarning">
+                <span className="icon">block</span> {errorReasons.moderation}
+              </p>
+            )}
           </div>
         )}
         <video
           ref={videoRef}
+          className={c({mirrored: camera.mirror})}
+          style={{aspectRatio: captureAspects[camera.aspect]?.ratio}}
           muted
           autoPlay
           playsInline
           disablePictureInPicture="true"
         />
-        {didJustSnap && <div className="flash" />}
-        {!videoActive && (
-          <div className="startScreen">
-            <h1>📸 GemBooth</h1>
-            <button
-              className="button"
-              onClick={startVideo}
-              disabled={didInitVideo}
-            >
-              {didInitVideo ? 'One sec…' : 'Start'}
+        {videoActive && localSteps && (
+          <LivePreview videoRef={videoRef} steps={localSteps} camera={camera} />
+        )}
+        {aiPreview && (
+          <div className="aiPreview" onClick={e => e.stopPropagation()}>
+            <button className="circleBtn" onClick={closePreview}>
+              <span className="icon">close</span>
             </button>
+            {aiPreview.url ? (
+              <img src={aiPreview.url} alt="preview" draggable={false} />
+            ) : (
+              <p>{aiPreview.error || 'Previewing…'}</p>
+            )}
+            <span className="aiPreviewLabel">
+              {getEmoji(activeMode)} Preview
+            </span>
           </div>
         )}
+        {(queue.jobs.length > 0 || queue.backoffUntil) && (
+          <button
+            className={c('queueStatus', {paused: queue.backoffUntil})}
+            disabled={kiosk.enabled}
+            onClick={e => {
+              e.stopPropagation()
+              setShowQueue(true)
+            }}
+          >
+            <span className="icon">
+              {queue.backoffUntil ? 'hourglass_top' : 'pending'}
+            </span>
+            {queue.jobs.length - waitingCount} running
+            {waitingCount > 0 && ` · ${waitingCount} waiting`}
+            {queue.backoffUntil &&
+              ` · Rate limited, resuming in ${formatDuration(
+                queue.backoffUntil - now
+              )}`}
+          </button>
+        )}
+        {uploadErrors.length > 0 && (
+          <div className="uploadErrors" onClick={e => e.stopPropagation()}>
+            <button className="circleBtn" onClick={() => setUploadErrors([])}>
+              <span className="icon">close</span>
+            </button>
+            {uploadErrors.map((error, i) => (
+              <p key={i}>{error}</p>
+            ))}
+          </div>
+        )}
+        {countdownValue && (
+          <div className="countdown" key={countdownValue}>
+            {countdownValue}
+          </div>
+        )}
+        {didJustSnap && <div className="flash" />}
+        {kiosk.enabled && showAttract ? (
+          <button
+            className="attractScreen"
+            onClick={() => {
+              setShowAttract(false)
+              if (!didInitVideo) {
+                startVideo()
+              }
+            }}
+          >
+            <h1>📸 GemBooth</h1>
+            <p>{kiosk.attractText}</p>
+            <span className="attractModes">
+              {availableModes.slice(0, 8).map(([key, {emoji}]) => (
+                <span key={key}>{emoji}</span>
+              ))}
+            </span>
+          </button>
+        ) : (
+          !videoActive && (
+            <div className="startScreen">
+              <h1>📸 GemBooth</h1>
+              {cameraError && <p className="message">{cameraError}</p>}
+              <button
+                className="button"
+                onClick={startVideo}
+                disabled={didInitVideo}
+              >
+                {didInitVideo
+                  ? 'One sec…'
+                  : cameraError
+                  ? 'Try again'
+                  : 'Start'}
+              </button>
+            </div>
+          )
+        )}
 
         {videoActive && (
           <div className="videoControls">
             <div className="mainControls">
-              <button
-                onClick={handleUploadClick}
-                className="shutter"
-                aria-label="Upload photo"
-              >
-                <span className="icon">upload</span>
-              </button>
+              {!kiosk.enabled && (
+                <button
+                  onClick={handleUploadClick}
+                  className="shutter"
+                  aria-label="Upload photo"
+                >
+                  <span className="icon">upload</span>
+                </button>
+              )}
               <button
                 onClick={takePhoto}
                 className="shutter"
                 aria-label="Take photo"
+                disabled={isCapturing}
               >
                 <span className="icon">camera</span>
               </button>
+              <div className="captureOptions">
+                <button
+                  className={c('optionBtn', {active: countdown > 0})}
+                  aria-label="Countdown"
+                  onClick={() =>
+                    setCountdown(
+                      countdownOptions[
+                        (countdownOptions.indexOf(countdown) + 1) %
+                          countdownOptions.length
+                      ]
+                    )
+                  }
+                >
+                  <span className="icon">
+                    {countdown ? 'timer' : 'timer_off'}
+                  </span>
+                  {countdown > 0 && `${countdown}s`}
+                </button>
+                <button
+                  className={c('optionBtn', {active: canBurst && burstMode})}
+                  aria-label="Photo strip"
+                  onClick={toggleBurstMode}
+                  disabled={!canBurst}
+                >
+                  <span className="icon">burst_mode</span>
+                  {canBurst && burstMode && `×${burstCount}`}
+                </button>
+                {canPreview && (
+                  <button
+                    className="optionBtn"
+                    aria-label="Preview mode"
+                    onClick={runPreview}
+                    disabled={aiPreview?.isBusy}
+                  >
+                    <span className="icon">preview</span>
+                  </button>
+                )}
+                {!kiosk.enabled && (
+                  <button
+                    className="optionBtn"
+                    aria-label="Camera settings"
+                    onClick={() => setShowCamera(true)}
+                  >
+                    <span className="icon">photo_camera</span>
+                  </button>
+                )}
+                {!kiosk.enabled && (
+                  <button
+                    className={c('optionBtn', {active: branding.enabled})}
+                    aria-label="Branding"
+                    onClick={() => setShowBranding(true)}
+                  >
+                    <span className="icon">branding_watermark</span>
+                  </button>
+                )}
+                <button
+                  className={c('optionBtn', {active: kiosk.enabled})}
+                  aria-label="Operator settings"
+                  onClick={() => setShowOperator(true)}
+                >
+                  <span className="icon">admin_panel_settings</span>
+                </button>
+              </div>
             </div>
 
             <ul className="modeSelector">
-              <li
-                key="custom"
-                onMouseEnter={e =>
-                  handleModeHover({key: 'custom', prompt: customPrompt}, e)
-                }
-                onMouseLeave={() => handleModeHover(null)}
-              >
-                <button
-                  className={c({active: activeMode === 'custom'})}
-                  onClick={() => {
-                    setMode('custom')
-                    setShowCustomPrompt(true)
-                  }}
+              {!kiosk.enabled && (
+                <>
+                  <li key="library">
+                    <button onClick={() => setShowModeLibrary(true)}>
+                      <span className="icon">tune</span> <p>Modes</p>
+                    </button>
+                  </li>
+                  <li key="multi">
+                    <button
+                      className={c({active: multiMode})}
+                      onClick={toggleMultiMode}
+                    >
+                      <span className="icon">library_add_check</span>{' '}
+                      <p>Multi</p>
+                    </button>
+                  </li>
+                </>
+              )}
+              {isModeAllowed(kiosk, 'custom') && (
+                <li
+                  key="custom"
+                  onMouseEnter={e =>
+                    handleModeHover({key: 'custom', prompt: customPrompt}, e)
+                  }
+                  onMouseLeave={() => handleModeHover(null)}
                 >
-                  <span>✏️</span> <p>Custom</p>
-                </button>
-              </li>
-              {Object.entries(modes).map(([key, {name, emoji, prompt}]) => (
+                  <button
+                    className={c({active: isModeActive('custom')})}
+                    onClick={() => {
+                      selectMode('custom')
+                      if (!multiMode || !selectedModes.includes('custom')) {
+                        setShowCustomPrompt(true)
+                      }
+                    }}
+                  >
+                    <span>✏️</span> <p>Custom</p>
+                  </button>
+                </li>
+              )}
+              {availableModes.map(([key, {name, emoji, prompt, isVideo}]) => (
                 <li
                   key={key}
                   onMouseEnter={e => handleModeHover({key, prompt}, e)}
                   onMouseLeave={() => handleModeHover(null)}
                 >
                   <button
-                    onClick={() => setMode(key)}
-                    className={c({active: key === activeMode})}
+                    onClick={() => selectMode(key)}
+                    className={c({active: isModeActive(key)})}
+                    disabled={multiMode && isVideo}
                   >
                     <span>{emoji}</span> <p>{name}</p>
                   </button>
@@ -249,6 +863,12 @@ export default function App() {
             </button>
             {gifUrl ? (
               <img src={gifUrl} alt="animated gif" draggable={false} />
+            ) : focusedPhoto?.variants ? (
+              <CompareGrid photo={focusedPhoto} canDownload={!kiosk.enabled} />
+            ) : focusedPhoto?.steps &&
+              imageData.stages[focusedId] &&
+              (focusedPhoto.versionId || rootVersionId) === rootVersionId ? (
+              <StageScrubber key={focusedId} photo={focusedPhoto} />
             ) : focusedPhoto?.isVideo ? (
               <video
                 src={imageData.outputs[focusedId]}
@@ -259,14 +879,26 @@ export default function App() {
                 draggable={false}
               />
             ) : (
-              <img
+              <BrandedImage
                 src={imageData.outputs[focusedId]}
                 alt="photo"
                 draggable={false}
               />
             )}
+            {focusedPhoto?.isVideo &&
+              !gifUrl &&
+              imageData.candidates[focusedId] && (
+                <VideoCandidates photo={focusedPhoto} />
+              )}
+            {canRefine && !gifUrl && (showRefine || focusedPhoto.versions) && (
+              <VersionHistory
+                key={focusedId}
+                photo={focusedPhoto}
+                canDownload={!kiosk.enabled}
+              />
+            )}
             <div className="actions">
-              {gifUrl && (
+              {gifUrl && !kiosk.enabled && (
                 <button
                   className="button downloadButton"
                   onClick={() => downloadFile(gifUrl, 'gembooth.gif')}
@@ -276,44 +908,73 @@ export default function App() {
               )}
               {focusedPhoto && !gifUrl && (
                 <>
-                  <button
-                    className="button downloadButton"
-                    onClick={() => {
-                      const extension = focusedPhoto.isVideo ? 'mp4' : 'png'
-                      downloadFile(
-                        imageData.outputs[focusedId],
-                        `gembooth-${focusedPhoto.mode}.${extension}`
-                      )
-                    }}
-                  >
-                    <span className="icon">download</span>
-                    Download
-                  </button>
-                  {!focusedPhoto.isVideo && (
+                  {!kiosk.enabled && (
+                    <button
+                      className="button downloadButton"
+                      onClick={async () =>
+                        downloadFile(
+                          await getBrandedUrl(imageData.outputs[focusedId]),
+                          await getOutputFileName(focusedId)
+                        )
+                      }
+                    >
+                      <span className="icon">download</span>
+                      Download
+                    </button>
+                  )}
+                  {canRefine && !focusedPhoto.versions && (
                     <button
-                      className="button printButton"
-                      onClick={() => window.print()}
+                      className={c('button refineButton', {
+                        active: showRefine
+                      })}
+                      onClick={() => setShowRefine(!showRefine)}
                     >
-                      <span className="icon">print</span>
-                      Print
+                      <span className="icon">auto_fix_high</span>
+                      Refine
                     </button>
                   )}
+                  {!focusedPhoto.isVideo &&
+                    (kiosk.enabled ? (
+                      <button
+                        className="button printButton"
+                        disabled={
+                          printInProgress || printedIds.includes(focusedId)
+                        }
+                        onClick={async () => {
+                          if (await printPhoto(focusedId)) {
+                            setPrintedIds(ids => [...ids, focusedId])
+                          }
+                        }}
+                      >
+                        <span className="icon">print</span>
+                        {printedIds.includes(focusedId) ? 'Printed' : 'Print'}
+                      </button>
+                    ) : (
+                      <button
+                        className="button printButton"
+                        onClick={() => setPrintTarget({photoId: focusedId})}
+                      >
+                        <span className="icon">print</span>
+                        Print
+                      </button>
+                    ))}
                 </>
               )}
               {(gifUrl || focusedPhoto) && (
                 <button
-                  className="button whatsappButton"
-                  onClick={() => {
-                    const phoneNumber = '201555557337'
-                    const messageText = gifUrl
-                      ? 'Check out this cool GIF I made with GemBooth!'
-                      : 'Check out this cool creation I made with GemBooth!'
-                    const message = encodeURIComponent(messageText)
-                    window.open(
-                      `https://wa.me/${phoneNumber}?text=${message}`,
-                      '_blank'
+                  className="button shareButton"
+                  onClick={async () =>
+                    setShareTarget(
+                      gifUrl
+                        ? {url: gifUrl, name: 'gembooth.gif'}
+                        : {
+                            url: await getBrandedUrl(
+                              imageData.outputs[focusedId]
+                            ),
+                            name: await getOutputFileName(focusedId)
+                          }
                     )
-                  }}
+                  }
                 >
                   <span className="icon">share</span>
                   Share
@@ -327,9 +988,14 @@ export default function App() {
       <div className="results">
         <ul>
           {photos.length
-            ? photos.map(({id, mode, isBusy, isVideo}) => (
+            ? photos.map(({id, mode, isBusy, isVideo, error, ...photo}) => (
                 <li
-                  className={c({isBusy, 'is-wide': mode === 'mirror'})}
+                  className={c({
+                    isBusy,
+                    isError: !!error,
+                    'is-wide': isWideMode(mode) && !error && !photo.isStrip,
+                    'is-strip': photo.isStrip
+                  })}
                   key={id}
                 >
                   <button
@@ -343,10 +1009,46 @@ export default function App() {
                   >
                     <span className="icon">delete</span>
                   </button>
+                  {isBusy && (
+                    <button
+                      className="circleBtn cancelBtn"
+                      aria-label="Cancel"
+                      onClick={() => deletePhoto(id)}
+                    >
+                      <span className="icon">close</span>
+                    </button>
+                  )}
+                  {error && (
+                    <div className="errorOverlay">
+                      <span className="icon">error</span>
+                      <p>{errorReasons[error] || errorReasons.unknown}</p>
+                      {photo.errorMessage && (
+                        <small className="errorDetail">
+                          {photo.errorMessage}
+                        </small>
+                      )}
+                      <button className="button" onClick={() => retryPhoto(id)}>
+                        Retry
+                      </button>
+                      {activeMode !== mode &&
+                        !(photo.isStrip && modes[activeMode]?.isVideo) && (
+                          <button
+                            className="button"
+                            onClick={async () => {
+                              if (await confirmReferences([activeMode])) {
+                                retryPhoto(id, activeMode)
+                              }
+                            }}
+                          >
+                            Retry as {getEmoji(activeMode)}
+                          </button>
+                        )}
+                    </div>
+                  )}
                   <button
                     className="photo"
                     onClick={() => {
-                      if (!isBusy) {
+                      if (!isBusy && !error) {
                         setFocusedId(id)
                         hideGif()
                       }
@@ -354,22 +1056,23 @@ export default function App() {
                   >
                     <img
                       src={
-                        isVideo
-                          ? imageData.inputs[id]
-                          : isBusy
+                        isVideo || isBusy || error
                           ? imageData.inputs[id]
                           : imageData.outputs[id]
                       }
                       draggable={false}
                     />
                     {isBusy && isVideo && (
-                      <div className="loadingOverlay">Animating...</div>
+                      <div className="loadingOverlay">Rendering video…</div>
                     )}
+                    {isBusy && <JobStatus photoId={id} />}
                     {!isBusy && isVideo && (
                       <span className="icon videoIcon">play_circle</span>
                     )}
                     <p className="emoji">
-                      {mode === 'custom' ? '✏️' : modes[mode].emoji}
+                      {photo.variants
+                        ? photo.variants.map(variant => getEmoji(variant.mode))
+                        : getEmoji(mode)}
                     </p>
                   </button>
                 </li>
@@ -383,14 +1086,60 @@ export default function App() {
                 </li>
               )}
         </ul>
-        {photos.filter(p => !p.isBusy).length > 1 && (
-          <button
-            className="button makeGif"
-            onClick={makeGif}
-            disabled={gifInProgress}
-          >
-            {gifInProgress ? 'One sec…' : 'Make GIF!'}
-          </button>
+        {readyCount > 0 && (
+          <div className="sessionActions">
+            {exportError && (
+              <p className="exportError">
+                {exportError}
+                <button className="circleBtn" onClick={dismissExportError}>
+                  <span className="icon">close</span>
+                </button>
+              </p>
+            )}
+            {!kiosk.enabled && (
+              <>
+                <button
+                  className="button exportButton"
+                  onClick={exportSlideshow}
+                  disabled={!!exportInProgress}
+                  aria-label="Export slideshow video"
+                >
+                  <span className="icon">movie</span>
+                  {exportInProgress === 'slideshow'
+                    ? `${Math.round(exportProgress * 100)}%`
+                    : 'Video'}
+                </button>
+                <button
+                  className="button exportButton"
+                  onClick={exportArchive}
+                  disabled={!!exportInProgress}
+                  aria-label="Download all as ZIP"
+                >
+                  <span className="icon">folder_zip</span>
+                  {exportInProgress === 'archive' ? 'One sec…' : 'All'}
+                </button>
+                {printQueue.length > 0 && (
+                  <button
+                    className="button exportButton"
+                    onClick={() => setPrintTarget({photoId: null})}
+                    aria-label="Print queue"
+                  >
+                    <span className="icon">print</span>
+                    {printQueue.length}
+                  </button>
+                )}
+              </>
+            )}
+            {readyCount > 1 && (
+              <button
+                className="button makeGif"
+                onClick={() => setShowGifEditor(true)}
+                disabled={gifInProgress}
+              >
+                {gifInProgress ? 'One sec…' : 'Make GIF!'}
+              </button>
+            )}
+          </div>
         )}
       </div>
 
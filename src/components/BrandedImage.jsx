@@ -0,0 +1,29 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+import {useEffect, useState} from 'react'
+import {getBrandedUrl} from '../lib/actions'
+import useStore from '../lib/store'
+
+// An <img> showing `src` with the current event branding drawn over it
+export default function BrandedImage({src, ...props}) {
+  const branding = useStore.use.branding()
+  const [branded, setBranded] = useState(null)
+
+  useEffect(() => {
+    let cancelled = false
+
+    getBrandedUrl(src).then(url => {
+      if (!cancelled) {
+        setBranded({src, url})
+      }
+    })
+
+    return () => {
+      cancelled = true
+    }
+  }, [src, branding])
+
+  return <img src={branded?.src === src ? branded.url : src} {...props} />
+}
@@ -0,0 +1,130 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+import {setBranding} from '../lib/actions'
+import {logoPositions} from '../lib/branding'
+import useStore from '../lib/store'
+import {readFile} from '../lib/utils'
+
+function ImageField({label, value, onChange}) {
+  return (
+    <label>
+      {label}
+      {value && <img src={value} alt={label} draggable={false} />}
+      <span className="row">
+        <input
+          type="file"
+          accept="image/png,image/webp,image/svg+xml"
+          onChange={async e => {
+            const file = e.target.files[0]
+            e.target.value = ''
+            if (file) {
+              onChange(await readFile(file))
+            }
+          }}
+        />
+        {value && (
+          <button
+            type="button"
+            className="button"
+            onClick={() => onChange(null)}
+          >
+            Remove
+          </button>
+        )}
+      </span>
+    </label>
+  )
+}
+
+export default function BrandingPanel({onClose}) {
+  const branding = useStore.use.branding()
+
+  return (
+    <div className="panel brandingPanel" onClick={e => e.stopPropagation()}>
+      <button className="circleBtn" onClick={onClose}>
+        <span className="icon">close</span>
+      </button>
+      <h2>Branding</h2>
+
+      <label className="checkbox">
+        <input
+          type="checkbox"
+          checked={branding.enabled}
+          onChange={e => setBranding({enabled: e.target.checked})}
+        />
+        Brand photos, GIFs and prints
+      </label>
+
+      <div className="settings">
+        <label>
+          Event text
+          <input
+            placeholder="Ada & Grace · Lisbon"
+            value={branding.text}
+            onChange={e => setBranding({text: e.target.value})}
+          />
+        </label>
+        <label className="checkbox">
+          <input
+            type="checkbox"
+            checked={branding.showDate}
+            onChange={e => setBranding({showDate: e.target.checked})}
+          />
+          Add date
+        </label>
+        <ImageField
+          label="Frame (transparent PNG)"
+          value={branding.frame}
+          onChange={frame => setBranding({frame})}
+        />
+        <ImageField
+          label="Logo"
+          value={branding.logo}
+          onChange={logo => setBranding({logo})}
+        />
+        <label>
+          Logo position
+          <select
+            value={branding.logoPosition}
+            onChange={e => setBranding({logoPosition: e.target.value})}
+          >
+            {Object.entries(logoPositions).map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Logo opacity
+          <input
+            type="range"
+            min={0.1}
+            max={1}
+            step={0.05}
+            value={branding.logoOpacity}
+            onChange={e => setBranding({logoOpacity: Number(e.target.value)})}
+          />
+        </label>
+        <label>
+          Logo size
+          <input
+            type="range"
+            min={0.05}
+            max={0.5}
+            step={0.01}
+            value={branding.logoSize}
+            onChange={e => setBranding({logoSize: Number(e.target.value)})}
+          />
+        </label>
+      </div>
+
+      <p className="message">
+        Branding is drawn over copies; the original photos are kept as they
+        were.
+      </p>
+    </div>
+  )
+}
@@ -0,0 +1,84 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+import {useEffect, useState} from 'react'
+import {setCamera} from '../lib/actions'
+import {captureAspects, getCameras} from '../lib/camera'
+import useStore from '../lib/store'
+
+const facingModes = {user: 'Front camera', environment: 'Back camera'}
+
+export default function CameraPanel({onClose}) {
+  const camera = useStore.use.camera()
+  const [cameras, setCameras] = useState([])
+
+  useEffect(() => {
+    const updateCameras = () =>
+      getCameras()
+        .then(setCameras)
+        .catch(err => console.warn('Could not list cameras', err))
+
+    updateCameras()
+    navigator.mediaDevices.addEventListener('devicechange', updateCameras)
+    return () =>
+      navigator.mediaDevices.removeEventListener('devicechange', updateCameras)
+  }, [])
+
+  return (
+    <div className="panel cameraPanel" onClick={e => e.stopPropagation()}>
+      <button className="circleBtn" onClick={onClose}>
+        <span className="icon">close</span>
+      </button>
+      <h2>Camera</h2>
+
+      <div className="settings">
+        <label>
+          Camera
+          <select
+            value={camera.deviceId || camera.facingMode}
+            onChange={e =>
+              setCamera(
+                facingModes[e.target.value]
+                  ? {deviceId: null, facingMode: e.target.value}
+                  : {deviceId: e.target.value}
+              )
+            }
+          >
+            {Object.entries(facingModes).map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+            {cameras.map(({deviceId, label}) => (
+              <option key={deviceId} value={deviceId}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Aspect
+          <select
+            value={camera.aspect}
+            onChange={e => setCamera({aspect: e.target.value})}
+          >
+            {Object.entries(captureAspects).map(([value, {name}]) => (
+              <option key={value} value={value}>
+                {name}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="checkbox">
+          <input
+            type="checkbox"
+            checked={camera.mirror}
+            onChange={e => setCamera({mirror: e.target.checked})}
+          />
+          Mirror
+        </label>
+      </div>
+    </div>
+  )
+}
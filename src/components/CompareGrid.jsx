@@ -0,0 +1,56 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+import {downloadVariant} from '../lib/actions'
+import {errorReasons} from '../lib/errors'
+import imageData from '../lib/imageData'
+import useStore from '../lib/store'
+import BrandedImage from './BrandedImage'
+
+export default function CompareGrid({photo, canDownload}) {
+  const modes = useStore.use.modes()
+  const {id, variants} = photo
+  const columns = Math.ceil(Math.sqrt(variants.length + 1))
+
+  return (
+    <div
+      className="compareGrid"
+      style={{gridTemplateColumns: `repeat(${columns}, 1fr)`}}
+    >
+      <figure>
+        <img src={imageData.inputs[id]} alt="original" draggable={false} />
+        <figcaption>📷 Original</figcaption>
+      </figure>
+      {variants.map(({mode, error}) => (
+        <figure key={mode} className={error ? 'isError' : null}>
+          {error ? (
+            <p>{errorReasons[error] || errorReasons.unknown}</p>
+          ) : (
+            <>
+              <BrandedImage
+                src={imageData.variants[id]?.[mode]}
+                alt={mode}
+                draggable={false}
+              />
+              {canDownload && (
+                <button
+                  className="circleBtn"
+                  aria-label="Download"
+                  onClick={() => downloadVariant(id, mode)}
+                >
+                  <span className="icon">download</span>
+                </button>
+              )}
+            </>
+          )}
+          <figcaption>
+            {mode === 'custom'
+              ? '✏️ Custom'
+              : `${modes[mode]?.emoji || '🖼️'} ${modes[mode]?.name || mode}`}
+          </figcaption>
+        </figure>
+      ))}
+    </div>
+  )
+}
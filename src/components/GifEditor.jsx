@@ -0,0 +1,190 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+import {useState} from 'react'
+import c from 'clsx'
+import {makeGif, setGifSettings} from '../lib/actions'
+import {gifSizes} from '../lib/gif'
+import useStore from '../lib/store'
+import imageData from '../lib/imageData'
+
+const moveItem = (items, from, to) => {
+  const next = [...items]
+  next.splice(to, 0, next.splice(from, 1)[0])
+  return next
+}
+
+export default function GifEditor({onClose}) {
+  const photos = useStore.use.photos()
+  const gifSettings = useStore.use.gifSettings()
+  const gifInProgress = useStore.use.gifInProgress()
+  const gifProgress = useStore.use.gifProgress()
+  const [error, setError] = useState(null)
+  const [items, setItems] = useState(() =>
+    photos
+      .filter(photo => !photo.isBusy && !photo.error)
+      .map(({id, isVideo}) => ({id, isVideo, included: true, outputDelay: ''}))
+  )
+
+  const updateItem = (id, fields) =>
+    setItems(items.map(item => (item.id === id ? {...item, ...fields} : item)))
+
+  const included = items.filter(item => item.included)
+
+  // Stays open on failure so the settings can be changed and tried again
+  const create = async () => {
+    setError(null)
+    try {
+      await makeGif({
+        ids: included.map(item => item.id),
+        outputDelays: Object.fromEntries(
+          included
+            .filter(item => item.outputDelay !== '')
+            .map(item => [item.id, Number(item.outputDelay)])
+        )
+      })
+      onClose()
+    } catch (err) {
+      setError(`Couldn't create the GIF: ${err.message}`)
+    }
+  }
+
+  return (
+    <div className="panel gifEditor" onClick={e => e.stopPropagation()}>
+      <button className="circleBtn" onClick={onClose}>
+        <span className="icon">close</span>
+      </button>
+      <h2>Make a GIF</h2>
+
+      <ul>
+        {items.map(({id, isVideo, included, outputDelay}, i) => (
+          <li key={id} className={c({excluded: !included})}>
+            <input
+              type="checkbox"
+              checked={included}
+              onChange={e => updateItem(id, {included: e.target.checked})}
+            />
+            <img
+              src={isVideo ? imageData.inputs[id] : imageData.outputs[id]}
+              draggable={false}
+            />
+            {isVideo ? (
+              <span className="hint">
+                <span className="icon">movie</span> sampled
+              </span>
+            ) : (
+              <input
+                type="number"
+                min={20}
+                step={50}
+                placeholder={gifSettings.outputDelay}
+                value={outputDelay}
+                onChange={e => updateItem(id, {outputDelay: e.target.value})}
+                aria-label="Output frame delay in ms"
+              />
+            )}
+            <button
+              aria-label="Move up"
+              disabled={i === 0}
+              onClick={() => setItems(moveItem(items, i, i - 1))}
+            >
+              <span className="icon">arrow_upward</span>
+            </button>
+            <button
+              aria-label="Move down"
+              disabled={i === items.length - 1}
+              onClick={() => setItems(moveItem(items, i, i + 1))}
+            >
+              <span className="icon">arrow_downward</span>
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      <div className="settings">
+        <label>
+          Aspect
+          <select
+            value={gifSettings.aspect}
+            onChange={e => setGifSettings({aspect: e.target.value})}
+          >
+            {Object.keys(gifSizes).map(aspect => (
+              <option key={aspect}>{aspect}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Fit
+          <select
+            value={gifSettings.fit}
+            onChange={e => setGifSettings({fit: e.target.value})}
+          >
+            <option value="contain">Whole image</option>
+            <option value="cover">Fill frame</option>
+          </select>
+        </label>
+        <label>
+          Input ms
+          <input
+            type="number"
+            min={20}
+            step={50}
+            value={gifSettings.inputDelay}
+            onChange={e => setGifSettings({inputDelay: Number(e.target.value)})}
+          />
+        </label>
+        <label>
+          Output ms
+          <input
+            type="number"
+            min={20}
+            step={50}
+            value={gifSettings.outputDelay}
+            onChange={e =>
+              setGifSettings({outputDelay: Number(e.target.value)})
+            }
+          />
+        </label>
+        <label>
+          Video frames
+          <input
+            type="number"
+            min={1}
+            max={30}
+            value={gifSettings.videoFrames}
+            onChange={e =>
+              setGifSettings({videoFrames: Number(e.target.value)})
+            }
+          />
+        </label>
+        <label className="checkbox">
+          <input
+            type="checkbox"
+            checked={gifSettings.crossfade}
+            onChange={e => setGifSettings({crossfade: e.target.checked})}
+          />
+          Crossfade
+        </label>
+      </div>
+
+      {gifInProgress && (
+        <progress value={gifProgress || 0} max={1} aria-label="GIF progress" />
+      )}
+
+      {error && <p className="message error">{error}</p>}
+
+      <div className="row">
+        <button
+          className="button createGif"
+          onClick={create}
+          disabled={gifInProgress || !included.length}
+        >
+          {gifInProgress
+            ? `${Math.round((gifProgress || 0) * 100)}%`
+            : `Create GIF (${included.length})`}
+        </button>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,47 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+import useStore from '../lib/store'
+import {useNow, formatDuration} from '../lib/time'
+
+// Progress line for a busy tile. Photos with several jobs (variants, strips,
+// pipelines) report the furthest along. Videos take minutes, so they also get
+// a bar filling up towards the estimate.
+export default function JobStatus({photoId}) {
+  const {jobs, backoffUntil} = useStore.use.queue()
+  const photoJobs = jobs.filter(job => job.info?.photoId === photoId)
+  const now = useNow(photoJobs.length > 0)
+
+  if (!photoJobs.length) {
+    return null
+  }
+
+  const running = photoJobs.filter(job => job.status === 'running')
+  const eta = Math.max(...photoJobs.map(job => job.eta))
+
+  if (running.length) {
+    const startedAt = Math.min(...running.map(job => job.startedAt))
+    return (
+      <p className="jobStatus">
+        {running.some(job => job.kind === 'video') && (
+          <progress
+            value={Math.min(now - startedAt, eta - startedAt)}
+            max={eta - startedAt}
+          />
+        )}
+        {formatDuration(now - startedAt)}
+        {eta > now && ` · ~${formatDuration(eta - now)} left`}
+      </p>
+    )
+  }
+
+  const position = Math.min(...photoJobs.map(job => job.position))
+
+  return (
+    <p className="jobStatus">
+      {backoffUntil ? 'Paused' : `#${position + 1} in line`} · ~
+      {formatDuration(eta - now)}
+    </p>
+  )
+}
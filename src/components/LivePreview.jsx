@@ -0,0 +1,52 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+import {useEffect, useRef} from 'react'
+import {getEffect} from '../lib/effects'
+import {drawFrame} from '../lib/camera'
+
+const previewSize = 360
+
+// Runs local effects on the camera feed, frame after frame, over the video
+export default function LivePreview({videoRef, steps, camera}) {
+  const canvasRef = useRef(null)
+
+  useEffect(() => {
+    let stopped = false
+
+    const render = async () => {
+      const video = videoRef.current
+      if (video?.videoWidth) {
+        try {
+          let frame = drawFrame(video, camera, previewSize)
+          for (const {effect, effectOptions} of steps) {
+            frame = await getEffect(effect).apply(frame, effectOptions)
+          }
+
+          const canvas = canvasRef.current
+          if (canvas && !stopped) {
+            canvas.width = frame.width
+            canvas.height = frame.height
+            canvas.getContext('2d').drawImage(frame, 0, 0)
+          }
+        } catch (err) {
+          console.warn('Live preview failed', err)
+          return
+        }
+      }
+
+      if (!stopped) {
+        requestAnimationFrame(render)
+      }
+    }
+
+    render()
+
+    return () => {
+      stopped = true
+    }
+  }, [videoRef, steps, camera])
+
+  return <canvas ref={canvasRef} className="livePreview" />
+}
@@ -0,0 +1,438 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+import {useRef, useState} from 'react'
+import c from 'clsx'
+import {
+  saveMode,
+  deleteMode,
+  moveMode,
+  toggleModeHidden,
+  importModes,
+  exportModes,
+  resetModes,
+  setStockReference
+} from '../lib/actions'
+import useStore from '../lib/store'
+import effects from '../lib/effects'
+import {getModeReferences, getReferenceKey} from '../lib/references'
+import {ingestFile, acceptedTypes} from '../lib/ingest'
+import {
+  parseVideoOptions,
+  videoAspectRatios,
+  videoDurations,
+  maxVideoCandidates
+} from '../lib/video'
+
+const emptyMode = {name: '', emoji: '', prompt: '', isVideo: false}
+
+// Each step is a local effect or a prompt run on the previous step's output
+function StepList({steps, onChange}) {
+  const update = (i, step) =>
+    onChange(steps.map((s, j) => (j === i ? step : s)))
+
+  return (
+    <ol className="stepList">
+      {steps.map((step, i) => (
+        <li key={i}>
+          <select
+            value={step.effect || 'prompt'}
+            onChange={e =>
+              update(
+                i,
+                e.target.value === 'prompt'
+                  ? {prompt: ''}
+                  : {effect: e.target.value}
+              )
+            }
+          >
+            <option value="prompt">Prompt</option>
+            {Object.entries(effects).map(([id, {name}]) => (
+              <option key={id} value={id}>
+                {name}
+              </option>
+            ))}
+          </select>
+          {!step.effect && (
+            <textarea
+              rows={2}
+              placeholder="Prompt"
+              value={step.prompt}
+              onChange={e => update(i, {prompt: e.target.value})}
+            />
+          )}
+          <button
+            type="button"
+            aria-label="Remove step"
+            onClick={() => onChange(steps.filter((_, j) => j !== i))}
+          >
+            <span className="icon">close</span>
+          </button>
+        </li>
+      ))}
+      <li>
+        <button
+          type="button"
+          className="button"
+          onClick={() => onChange([...steps, {prompt: ''}])}
+        >
+          <span className="icon">add</span> Step
+        </button>
+      </li>
+    </ol>
+  )
+}
+
+// Blank choices leave the model's default in place
+function VideoOptions({options = {}, onChange}) {
+  const update = fields => onChange({...options, ...fields})
+
+  return (
+    <div className="settings">
+      <label>
+        Aspect ratio
+        <select
+          value={options.aspectRatio || ''}
+          onChange={e => update({aspectRatio: e.target.value || undefined})}
+        >
+          <option value="">Default</option>
+          {videoAspectRatios.map(ratio => (
+            <option key={ratio} value={ratio}>
+              {ratio}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label>
+        Duration
+        <select
+          value={options.durationSeconds || ''}
+          onChange={e =>
+            update({durationSeconds: Number(e.target.value) || undefined})
+          }
+        >
+          <option value="">Default</option>
+          {videoDurations.map(seconds => (
+            <option key={seconds} value={seconds}>
+              {seconds}s
+            </option>
+          ))}
+        </select>
+      </label>
+      <label>
+        Candidates
+        <input
+          type="number"
+          min={1}
+          max={maxVideoCandidates}
+          value={options.numberOfVideos || 1}
+          onChange={e => update({numberOfVideos: Number(e.target.value)})}
+        />
+      </label>
+      <label>
+        Avoid
+        <input
+          placeholder="Negative prompt"
+          value={options.negativePrompt || ''}
+          onChange={e => update({negativePrompt: e.target.value})}
+        />
+      </label>
+    </div>
+  )
+}
+
+// The operator's images for a mode's stock reference slots. They're stored
+// outside the library right away, so Cancel doesn't undo them.
+function StockReferences({mode}) {
+  const stockReferences = useStore.use.stockReferences()
+  const [error, setError] = useState(null)
+  const slots = getModeReferences(mode).filter(({source}) => source === 'stock')
+
+  const attach = async (key, file) => {
+    if (!file) {
+      return
+    }
+
+    setError(null)
+    try {
+      setStockReference(key, await ingestFile(file))
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  return (
+    <ul className="stockReferences">
+      {slots.map(({name, label}) => {
+        const key = getReferenceKey(mode.id, name)
+        return (
+          <li key={key}>
+            {stockReferences[key] ? (
+              <img src={stockReferences[key]} alt="" draggable={false} />
+            ) : (
+              <span className="icon">image</span>
+            )}
+            <span className="modeName">{label}</span>
+            <label className="button" aria-label="Upload">
+              <span className="icon">upload</span>
+              <input
+                type="file"
+                accept={acceptedTypes}
+                onChange={e => attach(key, e.target.files[0])}
+              />
+            </label>
+            <button
+              type="button"
+              aria-label="Remove"
+              disabled={!stockReferences[key]}
+              onClick={() => setStockReference(key, null)}
+            >
+              <span className="icon">delete</span>
+            </button>
+          </li>
+        )
+      })}
+      {error && <li className="message error">{error}</li>}
+    </ul>
+  )
+}
+
+function ModeForm({mode, onDone}) {
+  const [draft, setDraft] = useState(mode)
+  const update = fields => setDraft(d => ({...d, ...fields}))
+  const prompt = draft.prompt || ''
+  const isValid =
+    draft.name.trim() &&
+    (draft.steps
+      ? draft.steps.length &&
+        draft.steps.every(step => step.effect || step.prompt.trim())
+      : draft.effect || prompt.trim())
+  const type = draft.steps
+    ? 'pipeline'
+    : draft.effect
+    ? 'local'
+    : draft.isVideo
+    ? 'video'
+    : 'image'
+
+  return (
+    <form
+      className="modeForm"
+      onSubmit={e => {
+        e.preventDefault()
+        saveMode({
+          ...draft,
+          name: draft.name.trim(),
+          prompt: prompt.trim(),
+          videoOptions:
+            type === 'video'
+              ? parseVideoOptions(draft.videoOptions)
+              : undefined,
+          steps: draft.steps?.map(step =>
+            step.effect ? step : {prompt: step.prompt.trim()}
+          )
+        })
+        onDone()
+      }}
+    >
+      <div className="row">
+        <input
+          className="emojiInput"
+          placeholder="✨"
+          value={draft.emoji}
+          onChange={e => update({emoji: e.target.value})}
+        />
+        <input
+          placeholder="Mode name"
+          value={draft.name}
+          onChange={e => update({name: e.target.value})}
+        />
+        <select
+          value={type}
+          onChange={e =>
+            update({
+              isVideo: e.target.value === 'video',
+              effect: e.target.value === 'local' ? 'mirror' : undefined,
+              steps: e.target.value === 'pipeline' ? [{prompt}] : undefined
+            })
+          }
+        >
+          <option value="image">Image</option>
+          <option value="video">Video</option>
+          <option value="local">Local effect</option>
+          <option value="pipeline">Pipeline</option>
+        </select>
+        {draft.effect && (
+          <select
+            value={draft.effect}
+            onChange={e => update({effect: e.target.value})}
+          >
+            {Object.entries(effects).map(([id, {name}]) => (
+              <option key={id} value={id}>
+                {name}
+              </option>
+            ))}
+          </select>
+        )}
+      </div>
+      {draft.steps ? (
+        <StepList steps={draft.steps} onChange={steps => update({steps})} />
+      ) : (
+        <textarea
+          rows={4}
+          placeholder="Prompt"
+          value={prompt}
+          onChange={e => update({prompt: e.target.value})}
+        />
+      )}
+      {type === 'video' && (
+        <VideoOptions
+          options={draft.videoOptions}
+          onChange={videoOptions => update({videoOptions})}
+        />
+      )}
+      {mode.id && <StockReferences mode={mode} />}
+      <p className="message">
+        Use {'{{placeholders}}'} like {'{{guestName}}'} for values guests fill
+        in before each snap.
+      </p>
+      <div className="row">
+        <button type="button" className="button" onClick={onDone}>
+          Cancel
+        </button>
+        <button type="submit" className="button" disabled={!isValid}>
+          Save
+        </button>
+      </div>
+    </form>
+  )
+}
+
+export default function ModeLibrary({onClose}) {
+  const modes = useStore.use.modes()
+  const modeOrder = useStore.use.modeOrder()
+  const [editing, setEditing] = useState(null)
+  const [message, setMessage] = useState(null)
+  const fileInputRef = useRef(null)
+
+  const handleImport = async e => {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) {
+      return
+    }
+
+    try {
+      const count = importModes(await file.text())
+      setMessage(`Imported ${count} mode${count === 1 ? '' : 's'}`)
+    } catch (err) {
+      setMessage(`Import failed: ${err.message}`)
+    }
+  }
+
+  return (
+    <div className="panel modeLibrary" onClick={e => e.stopPropagation()}>
+      <button className="circleBtn" onClick={onClose}>
+        <span className="icon">close</span>
+      </button>
+      <h2>Modes</h2>
+
+      {editing ? (
+        <ModeForm mode={editing} onDone={() => setEditing(null)} />
+      ) : (
+        <>
+          <ul>
+            {modeOrder.map((id, i) => {
+              const {name, emoji, isVideo, isLocal, steps, references, hidden} =
+                modes[id]
+              return (
+                <li key={id} className={c({hidden})}>
+                  <span className="modeName">
+                    {emoji} {name}
+                    {isVideo && <span className="icon">movie</span>}
+                    {isLocal && <span className="icon">offline_bolt</span>}
+                    {steps && <span className="icon">linear_scale</span>}
+                    {references && <span className="icon">photo_library</span>}
+                  </span>
+                  <button
+                    aria-label="Move up"
+                    disabled={i === 0}
+                    onClick={() => moveMode(id, -1)}
+                  >
+                    <span className="icon">arrow_upward</span>
+                  </button>
+                  <button
+                    aria-label="Move down"
+                    disabled={i === modeOrder.length - 1}
+                    onClick={() => moveMode(id, 1)}
+                  >
+                    <span className="icon">arrow_downward</span>
+                  </button>
+                  <button
+                    aria-label={hidden ? 'Show' : 'Hide'}
+                    onClick={() => toggleModeHidden(id)}
+                  >
+                    <span className="icon">
+                      {hidden ? 'visibility_off' : 'visibility'}
+                    </span>
+                  </button>
+                  <button
+                    aria-label="Edit"
+                    onClick={() => setEditing({id, ...modes[id]})}
+                  >
+                    <span className="icon">edit</span>
+                  </button>
+                  <button
+                    aria-label="Delete"
+                    onClick={() => {
+                      if (confirm(`Delete the "${name}" mode?`)) {
+                        deleteMode(id)
+                      }
+                    }}
+                  >
+                    <span className="icon">delete</span>
+                  </button>
+                </li>
+              )
+            })}
+          </ul>
+
+          {message && <p className="message">{message}</p>}
+
+          <div className="row">
+            <button className="button" onClick={() => setEditing(emptyMode)}>
+              <span className="icon">add</span> New
+            </button>
+            <button
+              className="button"
+              onClick={() => fileInputRef.current.click()}
+            >
+              <span className="icon">upload</span> Import
+            </button>
+            <button className="button" onClick={exportModes}>
+              <span className="icon">download</span> Export
+            </button>
+            <button
+              className="button"
+              onClick={() => {
+                if (confirm('Replace all modes with the built-in set?')) {
+                  resetModes()
+                }
+              }}
+            >
+              Reset
+            </button>
+          </div>
+          <input
+            type="file"
+            ref={fileInputRef}
+            style={{display: 'none'}}
+            accept="application/json,.json"
+            onChange={handleImport}
+          />
+        </>
+      )}
+    </div>
+  )
+}
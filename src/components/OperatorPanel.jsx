@@ -0,0 +1,175 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+import {useState} from 'react'
+import {setKiosk, endSession} from '../lib/actions'
+import useStore from '../lib/store'
+import {minKioskTimeout} from '../lib/kiosk'
+
+// Kiosk settings plus shortcuts to the panels guests can't reach in kiosk
+// mode. Asks for the PIN first when kiosk mode is on and one is set.
+export default function OperatorPanel({onClose, onOpen}) {
+  const kiosk = useStore.use.kiosk()
+  const modes = useStore.use.modes()
+  const modeOrder = useStore.use.modeOrder()
+  const [unlocked, setUnlocked] = useState(!kiosk.enabled || !kiosk.pin)
+  const [pin, setPin] = useState('')
+  const [wrongPin, setWrongPin] = useState(false)
+  // The timeout field can be briefly empty or too short while typing; it's
+  // only clamped and saved once it's valid or loses focus
+  const [timeoutDraft, setTimeoutDraft] = useState(null)
+
+  if (!unlocked) {
+    return (
+      <div className="panel operatorPanel" onClick={e => e.stopPropagation()}>
+        <button className="circleBtn" onClick={onClose}>
+          <span className="icon">close</span>
+        </button>
+        <h2>Operator</h2>
+        <form
+          className="row"
+          onSubmit={e => {
+            e.preventDefault()
+            setWrongPin(pin !== kiosk.pin)
+            setUnlocked(pin === kiosk.pin)
+            setPin('')
+          }}
+        >
+          <input
+            type="password"
+            inputMode="numeric"
+            placeholder="PIN"
+            autoFocus
+            value={pin}
+            onChange={e => setPin(e.target.value)}
+          />
+          <button type="submit" className="button">
+            Unlock
+          </button>
+        </form>
+        {wrongPin && <p className="message">Wrong PIN</p>}
+      </div>
+    )
+  }
+
+  const modeIds = ['custom', ...modeOrder]
+  const allowedModes = kiosk.allowedModes || modeIds
+
+  return (
+    <div className="panel operatorPanel" onClick={e => e.stopPropagation()}>
+      <button className="circleBtn" onClick={onClose}>
+        <span className="icon">close</span>
+      </button>
+      <h2>Operator</h2>
+
+      <label className="checkbox">
+        <input
+          type="checkbox"
+          checked={kiosk.enabled}
+          onChange={e => setKiosk({enabled: e.target.checked})}
+        />
+        Kiosk mode
+      </label>
+
+      <div className="settings">
+        <label>
+          PIN
+          <input
+            inputMode="numeric"
+            placeholder="None"
+            value={kiosk.pin}
+            onChange={e => setKiosk({pin: e.target.value.trim()})}
+          />
+        </label>
+        <label>
+          Session timeout (s)
+          <input
+            type="number"
+            min={minKioskTimeout}
+            step={15}
+            value={timeoutDraft ?? kiosk.timeout}
+            onChange={e => {
+              setTimeoutDraft(e.target.value)
+              if (Number(e.target.value) >= minKioskTimeout) {
+                setKiosk({timeout: Number(e.target.value)})
+              }
+            }}
+            onBlur={() => {
+              if (timeoutDraft !== null) {
+                setKiosk({timeout: Number(timeoutDraft)})
+                setTimeoutDraft(null)
+              }
+            }}
+          />
+        </label>
+        <label>
+          Attract text
+          <input
+            value={kiosk.attractText}
+            onChange={e => setKiosk({attractText: e.target.value})}
+          />
+        </label>
+      </div>
+
+      <h2>Guest modes</h2>
+      <ul className="allowedModes">
+        {modeIds.map(id => {
+          const isAllowed = allowedModes.includes(id)
+          return (
+            <li key={id}>
+              <label className="checkbox">
+                <input
+                  type="checkbox"
+                  checked={isAllowed}
+                  disabled={isAllowed && allowedModes.length === 1}
+                  onChange={() =>
+                    setKiosk({
+                      allowedModes: isAllowed
+                        ? allowedModes.filter(m => m !== id)
+                        : [...allowedModes, id]
+                    })
+                  }
+                />
+                {id === 'custom'
+                  ? '✏️ Custom'
+                  : `${modes[id].emoji} ${modes[id].name}`}
+              </label>
+            </li>
+          )
+        })}
+      </ul>
+
+      <div className="row">
+        <button className="button" onClick={() => onOpen('modes')}>
+          <span className="icon">tune</span> Modes
+        </button>
+        <button className="button" onClick={() => onOpen('camera')}>
+          <span className="icon">photo_camera</span> Camera
+        </button>
+        <button className="button" onClick={() => onOpen('branding')}>
+          <span className="icon">branding_watermark</span> Branding
+        </button>
+        <button className="button" onClick={() => onOpen('print')}>
+          <span className="icon">print</span> Print queue
+        </button>
+        <button className="button" onClick={() => onOpen('queue')}>
+          <span className="icon">pending</span> Generation queue
+        </button>
+        <button className="button" onClick={() => onOpen('safety')}>
+          <span className="icon">gpp_maybe</span> Safety
+        </button>
+        <button
+          className="button"
+          onClick={() => {
+            if (confirm('Delete all photos from this session?')) {
+              endSession()
+            }
+          }}
+        >
+          <span className="icon">delete_sweep</span> End session
+        </button>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,188 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+import {useEffect, useState} from 'react'
+import {
+  setPrintSettings,
+  addToPrintQueue,
+  setPrintCopies,
+  removeFromPrintQueue,
+  clearPrintQueue,
+  renderPrintPreview,
+  printPhoto,
+  printQueuedPhotos
+} from '../lib/actions'
+import {printLayouts} from '../lib/print'
+import imageData from '../lib/imageData'
+import useStore from '../lib/store'
+
+// `photoId` is the photo being printed; without one the panel only manages
+// the queue.
+export default function PrintPanel({photoId, onClose}) {
+  const printSettings = useStore.use.printSettings()
+  const printQueue = useStore.use.printQueue()
+  const printInProgress = useStore.use.printInProgress()
+  const branding = useStore.use.branding()
+  const [preview, setPreview] = useState(null)
+  const [previewError, setPreviewError] = useState(false)
+  const previewSrc = photoId ? imageData.outputs[photoId] : printQueue[0]?.src
+  const pageCount = printQueue.reduce((sum, job) => sum + job.copies, 0)
+
+  useEffect(() => {
+    let cancelled = false
+
+    if (previewSrc) {
+      setPreviewError(false)
+      renderPrintPreview(previewSrc)
+        .then(url => {
+          if (!cancelled) {
+            setPreview(url)
+          }
+        })
+        .catch(err => {
+          console.error('Could not render print preview', err)
+          if (!cancelled) {
+            setPreview(null)
+            setPreviewError(true)
+          }
+        })
+    }
+
+    return () => {
+      cancelled = true
+    }
+  }, [previewSrc, printSettings, branding])
+
+  return (
+    <div className="panel printPanel" onClick={e => e.stopPropagation()}>
+      <button className="circleBtn" onClick={onClose}>
+        <span className="icon">close</span>
+      </button>
+      <h2>Print</h2>
+
+      <div className="printLayout">
+        {preview && (
+          <img
+            className="printPreview"
+            src={preview}
+            alt="print preview"
+            draggable={false}
+          />
+        )}
+
+        {previewError && (
+          <p className="message error">Couldn't render a preview</p>
+        )}
+
+        <div className="settings">
+          <label>
+            Layout
+            <select
+              value={printSettings.layout}
+              onChange={e => setPrintSettings({layout: e.target.value})}
+            >
+              {Object.entries(printLayouts).map(([id, {name}]) => (
+                <option key={id} value={id}>
+                  {name}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label>
+            Margin (in)
+            <input
+              type="number"
+              min={0}
+              max={1}
+              step={0.0625}
+              value={printSettings.margin}
+              onChange={e => setPrintSettings({margin: Number(e.target.value)})}
+            />
+          </label>
+          <label>
+            Bleed (in)
+            <input
+              type="number"
+              min={0}
+              max={0.5}
+              step={0.0625}
+              value={printSettings.bleed}
+              onChange={e => setPrintSettings({bleed: Number(e.target.value)})}
+            />
+          </label>
+          <label className="checkbox">
+            <input
+              type="checkbox"
+              checked={printSettings.branded}
+              disabled={!branding.enabled}
+              onChange={e => setPrintSettings({branded: e.target.checked})}
+            />
+            Branding
+          </label>
+        </div>
+      </div>
+
+      {photoId && (
+        <div className="row">
+          <button
+            className="button"
+            disabled={printInProgress}
+            onClick={() => printPhoto(photoId)}
+          >
+            <span className="icon">print</span> Print now
+          </button>
+          <button className="button" onClick={() => addToPrintQueue(photoId)}>
+            <span className="icon">add_to_queue</span> Add to queue
+          </button>
+        </div>
+      )}
+
+      {printQueue.length > 0 && (
+        <>
+          <h2>Queue</h2>
+          <ul className="printQueue">
+            {printQueue.map(({id, src, copies}) => (
+              <li key={id}>
+                <img src={src} alt="queued photo" draggable={false} />
+                <label>
+                  Copies
+                  <input
+                    type="number"
+                    min={1}
+                    max={20}
+                    value={copies}
+                    onChange={e =>
+                      setPrintCopies(id, Math.max(1, Number(e.target.value)))
+                    }
+                  />
+                </label>
+                <button
+                  aria-label="Remove"
+                  onClick={() => removeFromPrintQueue(id)}
+                >
+                  <span className="icon">close</span>
+                </button>
+              </li>
+            ))}
+          </ul>
+          <div className="row">
+            <button
+              className="button"
+              disabled={printInProgress}
+              onClick={printQueuedPhotos}
+            >
+              <span className="icon">print</span> Print {pageCount} page
+              {pageCount === 1 ? '' : 's'}
+            </button>
+            <button className="button" onClick={clearPrintQueue}>
+              Clear
+            </button>
+          </div>
+        </>
+      )}
+
+      {printInProgress && <p className="message">Preparing pages…</p>}
+    </div>
+  )
+}
@@ -0,0 +1,64 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+import {useState} from 'react'
+
+export default function PromptVariables({
+  variables,
+  values,
+  onSubmit,
+  onCancel
+}) {
+  const [draft, setDraft] = useState(() =>
+    Object.fromEntries(
+      variables.map(({name, default: fallback}) => [
+        name,
+        values[name] ?? fallback ?? ''
+      ])
+    )
+  )
+
+  return (
+    <form
+      className="panel promptVariables"
+      onClick={e => e.stopPropagation()}
+      onSubmit={e => {
+        e.preventDefault()
+        onSubmit(draft)
+      }}
+    >
+      <button type="button" className="circleBtn" onClick={onCancel}>
+        <span className="icon">close</span>
+      </button>
+      <h2>Before we snap…</h2>
+      {variables.map(({name, label, choices}) => (
+        <label key={name}>
+          <span>{label}</span>
+          {choices ? (
+            <select
+              value={draft[name]}
+              onChange={e => setDraft({...draft, [name]: e.target.value})}
+            >
+              {choices.map(choice => (
+                <option key={choice} value={choice}>
+                  {choice}
+                </option>
+              ))}
+            </select>
+          ) : (
+            <input
+              value={draft[name]}
+              onChange={e => setDraft({...draft, [name]: e.target.value})}
+            />
+          )}
+        </label>
+      ))}
+      <div className="row">
+        <button type="submit" className="button">
+          <span className="icon">camera</span> Snap
+        </button>
+      </div>
+    </form>
+  )
+}
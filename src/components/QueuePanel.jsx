@@ -0,0 +1,121 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+import {
+  moveJob,
+  prioritizeJob,
+  setConcurrency,
+  deletePhoto
+} from '../lib/actions'
+import {getStepLabel} from '../lib/pipeline'
+import imageData from '../lib/imageData'
+import useStore from '../lib/store'
+import {useNow, formatDuration} from '../lib/time'
+
+export default function QueuePanel({onClose}) {
+  const {jobs, backoffUntil, concurrency} = useStore.use.queue()
+  const modes = useStore.use.modes()
+  const now = useNow()
+
+  const getLabel = ({mode, step}) => {
+    const {emoji, name, steps} = modes[mode] || {}
+    const label = `${emoji || ''} ${name || mode}`
+    return steps && step !== undefined
+      ? `${label} · ${getStepLabel(steps[step])}`
+      : label
+  }
+
+  return (
+    <div className="panel queuePanel" onClick={e => e.stopPropagation()}>
+      <button className="circleBtn" onClick={onClose}>
+        <span className="icon">close</span>
+      </button>
+      <h2>Queue</h2>
+
+      {backoffUntil && (
+        <p className="message">
+          The API is rate limiting requests. Resuming in{' '}
+          {formatDuration(backoffUntil - now)}.
+        </p>
+      )}
+
+      <div className="settings">
+        <label>
+          Images at once
+          <input
+            type="number"
+            min={1}
+            max={8}
+            value={concurrency.image}
+            onChange={e => setConcurrency('image', Number(e.target.value))}
+          />
+        </label>
+        <label>
+          Videos at once
+          <input
+            type="number"
+            min={1}
+            max={4}
+            value={concurrency.video}
+            onChange={e => setConcurrency('video', Number(e.target.value))}
+          />
+        </label>
+      </div>
+
+      {jobs.length ? (
+        <ul className="jobList">
+          {jobs.map(({id, kind, info, status, position, startedAt, eta}) => (
+            <li key={id} className={status}>
+              {info.photoId ? (
+                <img
+                  src={imageData.inputs[info.photoId]}
+                  alt="queued photo"
+                  draggable={false}
+                />
+              ) : (
+                <span className="icon">preview</span>
+              )}
+              <div>
+                <p>{getLabel(info)}</p>
+                <small>
+                  {kind === 'video' ? 'Video' : 'Image'} ·{' '}
+                  {status === 'running'
+                    ? `running for ${formatDuration(now - startedAt)}`
+                    : `#${position + 1} in line`}
+                  {eta > now && ` · ~${formatDuration(eta - now)} left`}
+                </small>
+              </div>
+              {status === 'waiting' && (
+                <>
+                  <button aria-label="Move up" onClick={() => moveJob(id, -1)}>
+                    <span className="icon">arrow_upward</span>
+                  </button>
+                  <button aria-label="Move down" onClick={() => moveJob(id, 1)}>
+                    <span className="icon">arrow_downward</span>
+                  </button>
+                  <button
+                    aria-label="Run next"
+                    onClick={() => prioritizeJob(id)}
+                  >
+                    <span className="icon">vertical_align_top</span>
+                  </button>
+                </>
+              )}
+              {info.photoId && (
+                <button
+                  aria-label="Cancel photo"
+                  onClick={() => deletePhoto(info.photoId)}
+                >
+                  <span className="icon">close</span>
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="message">Nothing is generating right now.</p>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,122 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+import {useState} from 'react'
+import c from 'clsx'
+import {setStockReference} from '../lib/actions'
+import {ingestFile, acceptedTypes} from '../lib/ingest'
+import imageData from '../lib/imageData'
+import useStore from '../lib/store'
+
+// Asks for the extra images the modes about to run need. `slots` are their
+// references with a `key` from getReferenceKey. Uploading attaches the image
+// as the slot's stock reference, so only operators (`canAttach`) can.
+export default function ReferencePicker({
+  slots,
+  values,
+  canAttach,
+  onSubmit,
+  onCancel
+}) {
+  const photos = useStore.use.photos()
+  const stockReferences = useStore.use.stockReferences()
+  const gallery = photos
+    .map(({id}) => imageData.inputs[id])
+    .filter(Boolean)
+    .slice(0, 12)
+  const [draft, setDraft] = useState(() =>
+    Object.fromEntries(
+      slots.map(({key, source}) => [
+        key,
+        (source === 'stock' && stockReferences[key]) ||
+          (gallery.includes(values[key]) ? values[key] : null)
+      ])
+    )
+  )
+  const [error, setError] = useState(null)
+  const isValid = slots.every(({key}) => draft[key])
+
+  // Uploads are resized like any other input, so they stay small enough to
+  // send with every generation
+  const attach = async (key, file) => {
+    if (!file) {
+      return
+    }
+
+    setError(null)
+    try {
+      const url = await ingestFile(file)
+      setStockReference(key, url)
+      setDraft(d => ({...d, [key]: url}))
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  return (
+    <form
+      className="panel referencePicker"
+      onClick={e => e.stopPropagation()}
+      onSubmit={e => {
+        e.preventDefault()
+        onSubmit(draft)
+      }}
+    >
+      <button type="button" className="circleBtn" onClick={onCancel}>
+        <span className="icon">close</span>
+      </button>
+      <h2>Before we snap…</h2>
+      {slots.map(({key, label, source, modeName}) => {
+        const choices = [
+          ...(stockReferences[key] ? [stockReferences[key]] : []),
+          ...gallery
+        ]
+
+        return (
+          <fieldset key={key}>
+            <legend>
+              {label}
+              {slots.length > 1 && ` · ${modeName}`}
+            </legend>
+            <div className="referenceChoices">
+              {choices.map((url, i) => (
+                <button
+                  type="button"
+                  key={i}
+                  className={c({active: draft[key] === url})}
+                  onClick={() => setDraft({...draft, [key]: url})}
+                >
+                  <img src={url} alt="" draggable={false} />
+                </button>
+              ))}
+              {canAttach && source === 'stock' && (
+                <label className="referenceUpload" aria-label="Upload">
+                  <span className="icon">upload</span>
+                  <input
+                    type="file"
+                    accept={acceptedTypes}
+                    onChange={e => attach(key, e.target.files[0])}
+                  />
+                </label>
+              )}
+            </div>
+            {!choices.length && (
+              <p className="message">
+                {source === 'gallery'
+                  ? 'Snap a photo first, then pick it here.'
+                  : 'Ask an operator to attach this image.'}
+              </p>
+            )}
+          </fieldset>
+        )
+      })}
+      {error && <p className="message error">{error}</p>}
+      <div className="row">
+        <button type="submit" className="button" disabled={!isValid}>
+          <span className="icon">camera</span> Snap
+        </button>
+      </div>
+    </form>
+  )
+}
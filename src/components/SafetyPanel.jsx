@@ -0,0 +1,93 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+import {useState} from 'react'
+import {setSafety} from '../lib/actions'
+import {safetyProfiles, checkPrompt} from '../lib/safety'
+import useStore from '../lib/store'
+
+const parseList = text =>
+  text
+    .split(/[\n,]/)
+    .map(term => term.trim())
+    .filter(Boolean)
+
+export default function SafetyPanel({onClose}) {
+  const safety = useStore.use.safety()
+  const [blocklist, setBlocklist] = useState(safety.blocklist.join('\n'))
+  const [allowlist, setAllowlist] = useState(safety.allowlist.join('\n'))
+  const [testPrompt, setTestPrompt] = useState('')
+  const blockedTerm = testPrompt && checkPrompt(testPrompt, safety)
+
+  return (
+    <div className="panel safetyPanel" onClick={e => e.stopPropagation()}>
+      <button className="circleBtn" onClick={onClose}>
+        <span className="icon">close</span>
+      </button>
+      <h2>Safety</h2>
+
+      <div className="settings">
+        <label>
+          Profile
+          <select
+            value={safety.profile}
+            onChange={e => setSafety({profile: e.target.value})}
+          >
+            {Object.entries(safetyProfiles).map(([id, {name}]) => (
+              <option key={id} value={id}>
+                {name}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+      <p className="message">{safetyProfiles[safety.profile]?.description}</p>
+
+      <div className="settings">
+        <label>
+          Blocked words
+          <textarea
+            rows={5}
+            value={blocklist}
+            onChange={e => {
+              setBlocklist(e.target.value)
+              setSafety({blocklist: parseList(e.target.value)})
+            }}
+          />
+        </label>
+        <label>
+          Allowed phrases
+          <textarea
+            rows={5}
+            placeholder="e.g. bloody mary"
+            value={allowlist}
+            onChange={e => {
+              setAllowlist(e.target.value)
+              setSafety({allowlist: parseList(e.target.value)})
+            }}
+          />
+        </label>
+      </div>
+      <p className="message">
+        Custom prompts, prompt values and refinements are checked against these
+        lists before anything is sent. One entry per line.
+      </p>
+
+      <div className="settings">
+        <label className="safetyTest">
+          Try a prompt
+          <input
+            value={testPrompt}
+            onChange={e => setTestPrompt(e.target.value)}
+          />
+        </label>
+      </div>
+      {testPrompt && (
+        <p className="message">
+          {blockedTerm ? `Blocked by "${blockedTerm}"` : 'Allowed'}
+        </p>
+      )}
+    </div>
+  )
+}
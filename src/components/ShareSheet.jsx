@@ -0,0 +1,102 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+import {useEffect, useState} from 'react'
+import QRCode from 'qrcode'
+import config from '../lib/config'
+import {
+  toFile,
+  canShareFile,
+  shareFile,
+  uploadShare,
+  getChannelUrl
+} from '../lib/share'
+
+export default function ShareSheet({url, name, onClose}) {
+  const [file, setFile] = useState(null)
+  const [link, setLink] = useState(null)
+  const [qrCode, setQrCode] = useState(null)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    let cancelled = false
+
+    const prepare = async () => {
+      try {
+        const nextFile = await toFile(url, name)
+        if (cancelled) {
+          return
+        }
+        setFile(nextFile)
+
+        const nextLink = await uploadShare(nextFile)
+        const nextQrCode = await QRCode.toDataURL(nextLink, {margin: 1})
+        if (!cancelled) {
+          setLink(nextLink)
+          setQrCode(nextQrCode)
+        }
+      } catch (err) {
+        console.warn('Could not create share link', err)
+        if (!cancelled) {
+          setError('QR download is unavailable without the booth server.')
+        }
+      }
+    }
+
+    prepare()
+
+    return () => {
+      cancelled = true
+    }
+  }, [url, name])
+
+  return (
+    <div className="panel shareSheet" onClick={e => e.stopPropagation()}>
+      <button className="circleBtn" onClick={onClose}>
+        <span className="icon">close</span>
+      </button>
+      <h2>Share</h2>
+
+      <div className="qrCode">
+        {qrCode ? (
+          <>
+            <img src={qrCode} alt="QR code" draggable={false} />
+            <p>Scan with your phone to download</p>
+          </>
+        ) : (
+          <p>{error || 'One sec…'}</p>
+        )}
+      </div>
+
+      <div className="row">
+        {file && canShareFile(file) && (
+          <button
+            className="button"
+            onClick={() =>
+              shareFile(file).catch(err => {
+                if (err.name !== 'AbortError') {
+                  console.warn('Share failed', err)
+                }
+              })
+            }
+          >
+            <span className="icon">ios_share</span> Share
+          </button>
+        )}
+        {config.shareChannels.map(channel => (
+          <a
+            key={channel.name}
+            className="button"
+            href={getChannelUrl(channel, link)}
+            target="_blank"
+            rel="noreferrer"
+          >
+            {channel.icon && <span className="icon">{channel.icon}</span>}
+            {channel.name}
+          </a>
+        ))}
+      </div>
+    </div>
+  )
+}
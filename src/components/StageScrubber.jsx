@@ -0,0 +1,38 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+import {useState} from 'react'
+import imageData from '../lib/imageData'
+import {getStepLabel} from '../lib/pipeline'
+
+export default function StageScrubber({photo}) {
+  const {id, steps} = photo
+  const stages = [
+    {label: '📷 Original', src: imageData.inputs[id]},
+    ...steps.map((step, i) => ({
+      label: getStepLabel(step),
+      src: imageData.stages[id]?.[i]
+    }))
+  ]
+  const [index, setIndex] = useState(stages.length - 1)
+  const stage = stages[index]
+
+  return (
+    <div className="stageScrubber">
+      <img src={stage.src} alt={stage.label} draggable={false} />
+      <label>
+        <span>
+          {index}/{steps.length} · {stage.label}
+        </span>
+        <input
+          type="range"
+          min={0}
+          max={stages.length - 1}
+          value={index}
+          onChange={e => setIndex(Number(e.target.value))}
+        />
+      </label>
+    </div>
+  )
+}
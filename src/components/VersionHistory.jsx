@@ -0,0 +1,100 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+import {useState} from 'react'
+import c from 'clsx'
+import {refinePhoto, selectVersion, downloadVersion} from '../lib/actions'
+import {errorReasons, getErrorReason, isAbortError} from '../lib/errors'
+import {rootVersionId, getChildVersions} from '../lib/versions'
+import imageData from '../lib/imageData'
+
+// Refine form plus the photo's tree of edits. Selecting a version makes it the
+// photo's output, and the next refinement branches from it.
+export default function VersionHistory({photo, canDownload}) {
+  const {id, versions = [], versionId = rootVersionId, isRefining} = photo
+  const [instruction, setInstruction] = useState('')
+  const [error, setError] = useState(null)
+  const urls = imageData.versions[id] || {}
+
+  const refine = async () => {
+    setError(null)
+
+    try {
+      await refinePhoto(id, instruction.trim())
+      setInstruction('')
+    } catch (err) {
+      if (!isAbortError(err)) {
+        setError(errorReasons[getErrorReason(err)])
+      }
+    }
+  }
+
+  const renderBranch = parentId => {
+    const children = getChildVersions(versions, parentId)
+
+    return (
+      children.length > 0 && (
+        <ul>
+          {children.map(version => (
+            <li key={version.id}>
+              <div className={c('version', {active: version.id === versionId})}>
+                <button
+                  className="versionThumb"
+                  aria-label="Select version"
+                  onClick={() => selectVersion(id, version.id)}
+                  disabled={isRefining}
+                >
+                  <img src={urls[version.id]} alt="" draggable={false} />
+                </button>
+                <span>{version.prompt || 'Original'}</span>
+                {canDownload && (
+                  <button
+                    aria-label="Download version"
+                    onClick={() => downloadVersion(id, version.id)}
+                  >
+                    <span className="icon">download</span>
+                  </button>
+                )}
+              </div>
+              {renderBranch(version.id)}
+            </li>
+          ))}
+        </ul>
+      )
+    )
+  }
+
+  return (
+    <div className="versionHistory">
+      <form
+        className="refineForm"
+        onSubmit={e => {
+          e.preventDefault()
+          refine()
+        }}
+      >
+        <input
+          type="text"
+          placeholder="e.g. warmer lighting"
+          value={instruction}
+          onChange={e => setInstruction(e.target.value)}
+          disabled={isRefining}
+        />
+        <button className="button" disabled={isRefining || !instruction.trim()}>
+          <span className="icon">auto_fix_high</span>
+          {isRefining ? 'Refining…' : 'Refine'}
+        </button>
+      </form>
+      {error && <p className="message error">{error}</p>}
+      {versions.length > 1 && (
+        <div className="versionTree">
+          {renderBranch(null)}
+          <p className="message">
+            Refine an earlier version to branch from it.
+          </p>
+        </div>
+      )}
+    </div>
+  )
+}
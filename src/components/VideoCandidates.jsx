@@ -0,0 +1,29 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+import c from 'clsx'
+import {selectCandidate} from '../lib/actions'
+import imageData from '../lib/imageData'
+
+// Thumbnails of every video a mode returned; the chosen one becomes the
+// photo's output for downloads, shares and GIFs.
+export default function VideoCandidates({photo}) {
+  const {id, candidateIndex = 0} = photo
+  const candidates = imageData.candidates[id]
+
+  return (
+    <div className="videoCandidates">
+      {candidates.map((url, i) => (
+        <button
+          key={i}
+          className={c({active: i === candidateIndex})}
+          aria-label={`Candidate ${i + 1}`}
+          onClick={() => selectCandidate(id, i)}
+        >
+          <video src={url} autoPlay loop muted playsInline />
+        </button>
+      ))}
+    </div>
+  )
+}
@@ -2,16 +2,77 @@
  * @license
  * SPDX-License-Identifier: Apache-2.0
 */
-// import {GIFEncoder, quantize, applyPalette} from 'gifenc'
-import {GIFEncoder, quantize, applyPalette} from 'https://unpkg.com/gifenc'
 import useStore from './store'
-import imageData from './imageData'
-import {generateImage, generateVideo} from './llm'
-import modes from './modes'
+import imageData, {
+  setInput,
+  setOutput,
+  setFrames,
+  setVariants,
+  setStages,
+  setVersions,
+  setReferences,
+  setCandidates,
+  clearCandidates,
+  removeImages,
+  restoreImages
+} from './imageData'
+import * as db from './db'
+import {generateImage, generateVideo, setSafetyProfile} from './llm'
+import {
+  abortError,
+  generationError,
+  isAbortError,
+  getErrorReason
+} from './errors'
+import {loadImage} from './utils'
+import {applyEffect} from './effects'
+import {buildGif} from './gif'
+import {
+  saveBranding,
+  loadBrandingImages,
+  brandImage,
+  createOverlay
+} from './branding'
+import {renderPage, printPages, getPageSize} from './print'
+import {saveKiosk, isModeAllowed, clampTimeout} from './kiosk'
+import {saveCamera} from './camera'
+import {saveSafety, checkPrompt} from './safety'
+import {renderSlideshow, createArchive, getExtension} from './exports'
+import {runPipeline} from './pipeline'
+import {parseVideoOptions} from './video'
+import {subscribeQueue} from './queue'
+import {
+  getModeReferences,
+  getReferenceKey,
+  loadStockReferences,
+  saveStockReference
+} from './references'
+import {
+  rootVersionId,
+  createRootVersion,
+  createVersion,
+  getRefinePrompt
+} from './versions'
+import {
+  getTemplateNames,
+  getModePrompts,
+  getVariableValue,
+  resolvePrompt
+} from './prompts'
+import {
+  getDefaultLibrary,
+  saveLibrary,
+  createModePack,
+  parseModePack
+} from './modeLibrary'
 
 const get = useStore.getState
 const set = useStore.setState
-const gifSize = 512
+const controllers = {}
+// Branded copies keyed by the original URL, dropped when branding changes.
+// Each is a full-size data URL, so only the most recently used are kept.
+const brandedUrls = new Map()
+const maxBrandedUrls = 12
 
 const downloadFile = (url, name) => {
   const a = document.createElement('a')
@@ -22,125 +83,728 @@ const downloadFile = (url, name) => {
   document.body.removeChild(a)
 }
 
-export const init = () => {
-  if (get().didInit) {
+const downloadBlob = (blob, name) => {
+  const url = URL.createObjectURL(blob)
+  downloadFile(url, name)
+  setTimeout(() => URL.revokeObjectURL(url), 10_000)
+}
+
+const warn = err => console.warn('Could not persist photos', err)
+
+const syncPhotos = ({photos}, {photos: prevPhotos}) => {
+  if (photos === prevPhotos) {
     return
   }
 
+  const prevById = new Map(prevPhotos.map(photo => [photo.id, photo]))
+  const ids = new Set(photos.map(photo => photo.id))
+
+  photos.forEach(photo => {
+    if (prevById.get(photo.id) !== photo) {
+      db.put('photos', photo.id, photo).catch(warn)
+    }
+  })
+
+  prevPhotos.forEach(photo => {
+    if (!ids.has(photo.id)) {
+      db.remove('photos', photo.id).catch(warn)
+    }
+  })
+}
+
+const syncLibrary = (state, prevState) => {
+  if (
+    state.modes !== prevState.modes ||
+    state.modeOrder !== prevState.modeOrder
+  ) {
+    saveLibrary(state)
+  }
+}
+
+// Keeps the active and selected modes within what kiosk guests may use
+const restrictModes = state => {
+  const isAllowed = mode => isModeAllowed(state.kiosk, mode)
+
+  if (!isAllowed(state.activeMode)) {
+    state.activeMode =
+      [...state.modeOrder, 'custom'].find(
+        mode => isAllowed(mode) && !state.modes[mode]?.hidden
+      ) || 'custom'
+  }
+  state.selectedModes = state.selectedModes.filter(isAllowed)
+}
+
+const syncKiosk = (state, prevState) => {
+  if (state.kiosk !== prevState.kiosk) {
+    saveKiosk(state.kiosk)
+  }
+}
+
+const syncCamera = (state, prevState) => {
+  if (state.camera !== prevState.camera) {
+    saveCamera(state.camera)
+  }
+}
+
+const syncSafety = (state, prevState) => {
+  if (state.safety !== prevState.safety) {
+    setSafetyProfile(state.safety.profile)
+    saveSafety(state.safety)
+  }
+}
+
+const syncBranding = (state, prevState) => {
+  if (state.branding !== prevState.branding) {
+    brandedUrls.clear()
+    saveBranding(state.branding)
+  }
+}
+
+const restoreSession = async () => {
+  const records = await Promise.all([db.getAll('photos'), restoreImages()])
+    .then(([photos]) => photos)
+    .catch(err => {
+      console.warn('Could not restore session', err)
+    })
+
+  if (!records) {
+    return
+  }
+
+  const ids = new Set(records.map(photo => photo.id))
+  Object.keys({...imageData.inputs, ...imageData.outputs})
+    .filter(id => !ids.has(id))
+    .forEach(id => removeImages(id))
+
+  // Photos whose generation never finished are resumed from their stored
+  // input; without an input there's nothing to retry, so they're dropped.
+  const restored = []
+  const toResume = []
+
+  records
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .forEach(photo => {
+      if (!photo.isBusy && imageData.outputs[photo.id]) {
+        // An interrupted refinement is simply dropped
+        restored.push({...photo, isRefining: false})
+      } else if (photo.error && imageData.inputs[photo.id]) {
+        restored.push(photo)
+      } else if (imageData.inputs[photo.id]) {
+        restored.push({...photo, isBusy: true})
+        toResume.push(photo.id)
+      } else {
+        removeImages(photo.id)
+        db.remove('photos', photo.id).catch(warn)
+      }
+    })
+
   set(state => {
-    state.didInit = true
+    const current = new Set(state.photos.map(photo => photo.id))
+    state.photos.push(...restored.filter(photo => !current.has(photo.id)))
   })
+
+  toResume.forEach(generatePhoto)
 }
 
-const createMirroredImage = async base64Data => {
-  const img = new Image()
-  await new Promise((resolve, reject) => {
-    img.onload = resolve
-    img.onerror = reject
-    img.src = base64Data
+export const init = async () => {
+  if (get().didInit) {
+    return
+  }
+
+  set(state => {
+    state.didInit = true
+    restrictModes(state)
   })
 
+  useStore.subscribe(syncPhotos)
+  useStore.subscribe(syncLibrary)
+  useStore.subscribe(syncBranding)
+  useStore.subscribe(syncKiosk)
+  useStore.subscribe(syncCamera)
+  useStore.subscribe(syncSafety)
+  setSafetyProfile(get().safety.profile)
+  loadBrandingImages()
+    .then(images =>
+      set(state => {
+        Object.assign(state.branding, images)
+      })
+    )
+    .catch(err => console.warn('Could not load branding images', err))
+  loadStockReferences()
+    .then(stockReferences =>
+      set(state => {
+        state.stockReferences = stockReferences
+      })
+    )
+    .catch(err => console.warn('Could not load reference images', err))
+  subscribeQueue(queue =>
+    set(state => {
+      state.queue = queue
+    })
+  )
+  await restoreSession()
+}
+
+// Stacks frames into a classic photo-booth strip with a white border
+const createPhotoStrip = async frames => {
+  const images = await Promise.all(frames.map(loadImage))
   const canvas = document.createElement('canvas')
   const ctx = canvas.getContext('2d')
-  const {width, height} = img
+  const panelWidth = Math.max(...images.map(img => img.width))
+  const margin = Math.round(panelWidth * 0.06)
+  const footer = margin * 3
+  const heights = images.map(img => (img.height * panelWidth) / img.width)
 
-  canvas.width = width * 2
-  canvas.height = height
+  canvas.width = panelWidth + margin * 2
+  canvas.height =
+    heights.reduce((sum, h) => sum + h + margin, margin) + footer - margin
 
-  // Draw original image on the left
-  ctx.drawImage(img, 0, 0, width, height)
+  ctx.fillStyle = '#fff'
+  ctx.fillRect(0, 0, canvas.width, canvas.height)
 
-  // Draw mirrored image on the right
-  ctx.save()
-  ctx.scale(-1, 1)
-  ctx.drawImage(img, -width * 2, 0, width, height)
-  ctx.restore()
+  let y = margin
+  images.forEach((img, i) => {
+    ctx.drawImage(img, margin, y, panelWidth, heights[i])
+    y += heights[i] + margin
+  })
+
+  ctx.fillStyle = '#111'
+  ctx.font = `${Math.round(footer / 3)}px Space Mono, monospace`
+  ctx.textAlign = 'center'
+  ctx.textBaseline = 'middle'
+  ctx.fillText(
+    `📸 GemBooth · ${new Date().toLocaleDateString()}`,
+    canvas.width / 2,
+    canvas.height - footer / 2
+  )
 
-  return canvas.toDataURL('image/jpeg')
+  return canvas.toDataURL('image/jpeg', 0.92)
 }
 
-export const snapPhoto = async b64 => {
-  const id = crypto.randomUUID()
-  const {activeMode, customPrompt} = get()
-  imageData.inputs[id] = b64
+// Stock slots prefer the operator's image; gallery slots take whatever was
+// picked for this snap
+const resolveReferences = modeIds => {
+  const {modes, referenceValues, stockReferences} = get()
 
-  const modeInfo = modes[activeMode]
+  return Object.fromEntries(
+    modeIds.flatMap(mode =>
+      getModeReferences(modes[mode])
+        .map(({name, source}) => {
+          const key = getReferenceKey(mode, name)
+          const url =
+            source === 'stock'
+              ? stockReferences[key] || referenceValues[key]
+              : referenceValues[key]
+          return [key, url]
+        })
+        .filter(([, url]) => url)
+    )
+  )
+}
 
-  if (activeMode === 'custom' || !modeInfo.isLocal) {
-    set(state => {
-      state.photos.unshift({
-        id,
-        mode: activeMode,
-        isBusy: true,
-        isVideo: !!modeInfo?.isVideo
-      })
-    })
+// Kept with the photo so retries and resumed jobs send the same images
+const storeReferences = (id, modeIds) => {
+  const references = resolveReferences(modeIds)
 
-    try {
-      let result
-      if (modeInfo?.isVideo) {
-        result = await generateVideo({
-          prompt: modeInfo.prompt,
-          inputFile: b64
-        })
+  if (Object.keys(references).length) {
+    return setReferences(id, {...imageData.references[id], ...references})
+  }
+}
+
+// `photoId` labels the queued job and finds the photo's reference images;
+// previews have none and use the current picks.
+const generateOutput = (fields, inputFile, signal, photoId = null) => {
+  const {mode, prompt, steps} = fields
+  const modeInfo = get().modes[mode]
+  const job = {photoId, mode}
+  const referenceImages = photoId
+    ? imageData.references[photoId] || {}
+    : resolveReferences([mode])
+  const references = getModeReferences(modeInfo)
+    .map(({name}) => referenceImages[getReferenceKey(mode, name)])
+    .filter(Boolean)
+
+  if (steps) {
+    return runPipeline(steps, inputFile, signal, job).then(stages =>
+      stages.at(-1)
+    )
+  }
+
+  if (modeInfo?.isLocal) {
+    return applyEffect(modeInfo.effect, inputFile, modeInfo.effectOptions)
+  }
+
+  return generateImage({prompt, inputFile, references, signal, job})
+}
+
+// Runs every mode of a multi-mode photo; it only fails if all of them do
+const generateVariants = async (photo, inputFile, signal) => {
+  const settled = await Promise.allSettled(
+    photo.variants.map(variant =>
+      generateOutput(variant, inputFile, signal, photo.id)
+    )
+  )
+
+  if (signal.aborted) {
+    throw abortError()
+  }
+
+  const outputs = {}
+  const variants = photo.variants.map((variant, i) => {
+    const {value, reason} = settled[i]
+    if (value) {
+      outputs[variant.mode] = value
+      return {...variant, error: null}
+    }
+    return {...variant, error: getErrorReason(reason)}
+  })
+
+  if (!Object.keys(outputs).length) {
+    throw settled[0].reason
+  }
+
+  return {outputs, variants}
+}
+
+// Guests' own words: custom prompts and any template values they typed
+const getGuestText = photo =>
+  (photo.variants || [photo]).flatMap(({mode, prompt, promptValues}) => [
+    ...(mode === 'custom' ? [prompt] : []),
+    ...Object.values(promptValues || {})
+  ])
+
+// Only these errors carry a message written for guests; the rest (quota,
+// timeouts, relayed API errors) fall back to their errorReasons text
+const guestErrorReasons = ['safety', 'moderation', 'noCandidates']
+
+// Screens guest text against the event's blocklist before it reaches the model
+const moderate = texts => {
+  const term = texts.map(text => checkPrompt(text, get().safety)).find(Boolean)
+
+  if (term) {
+    throw generationError('moderation', `"${term}" isn't allowed at this event`)
+  }
+}
+
+const generatePhoto = async id => {
+  const photo = get().photos.find(p => p.id === id)
+  if (!photo) {
+    return
+  }
+
+  const controller = new AbortController()
+  const {signal} = controller
+  controllers[id] = controller
+
+  try {
+    moderate(getGuestText(photo))
+
+    let result
+    let updates
+    if (photo.variants) {
+      const {outputs, variants} = await generateVariants(
+        photo,
+        imageData.inputs[id],
+        signal
+      )
+      await setVariants(id, outputs)
+      result = outputs[variants.find(variant => !variant.error).mode]
+      updates = {variants}
+    } else if (photo.isStrip) {
+      const outputs = await Promise.all(
+        imageData.frames[id].map(frame =>
+          generateOutput(photo, frame, signal, id)
+        )
+      )
+      result = outputs.every(Boolean) ? await createPhotoStrip(outputs) : null
+    } else if (photo.steps) {
+      // Only single photos keep their intermediate stages
+      const stages = await runPipeline(
+        photo.steps,
+        imageData.inputs[id],
+        signal,
+        {photoId: id, mode: photo.mode}
+      )
+      await setStages(id, stages)
+      result = stages.at(-1)
+    } else if (photo.isVideo) {
+      // Several candidates are kept for the guest to choose from
+      const candidates = await generateVideo({
+        prompt: photo.prompt,
+        inputFile: imageData.inputs[id],
+        options: photo.videoOptions,
+        signal,
+        job: {photoId: id, mode: photo.mode}
+      })
+      if (signal.aborted) {
+        candidates.slice(1).forEach(url => URL.revokeObjectURL(url))
+      } else if (candidates.length > 1) {
+        await setCandidates(id, candidates)
+        updates = {candidateIndex: 0}
       } else {
-        result = await generateImage({
-          model: 'gemini-2.5-flash-image-preview',
-          prompt: activeMode === 'custom' ? customPrompt : modeInfo.prompt,
-          inputFile: b64
-        })
+        // A retry may have left candidates from the previous run
+        await clearCandidates(id)
+        updates = {candidateIndex: 0}
       }
+      result = candidates[0]
+    } else {
+      result = await generateOutput(photo, imageData.inputs[id], signal, id)
+    }
 
-      if (!result) {
-        throw new Error('Generation returned no result')
+    // The photo was deleted while its job was running
+    if (signal.aborted) {
+      if (result?.startsWith('blob:')) {
+        URL.revokeObjectURL(result)
       }
+      return
+    }
 
-      imageData.outputs[id] = result
+    if (!result) {
+      throw new Error('Generation returned no result')
+    }
 
-      set(state => {
-        state.photos = state.photos.map(photo =>
-          photo.id === id ? {...photo, isBusy: false} : photo
-        )
-      })
+    await setOutput(id, result)
 
-      const extension = modeInfo?.isVideo ? 'mp4' : 'png'
-      const safeModeName = activeMode.replace(/[^a-z0-9]/gi, '_').toLowerCase()
-      const fileName = `gembooth-${safeModeName}-${id.substring(0, 6)}.${extension}`
-      downloadFile(result, fileName)
-    } catch (err) {
-      console.error('Photo generation failed', err)
-      // On failure, remove the photo from the list
-      set(state => {
-        state.photos = state.photos.filter(p => p.id !== id)
-      })
-      delete imageData.inputs[id]
+    set(state => {
+      state.photos = state.photos.map(photo =>
+        photo.id === id ? {...photo, ...updates, isBusy: false} : photo
+      )
+    })
+
+    return result
+  } catch (err) {
+    if (signal.aborted || isAbortError(err)) {
+      return
     }
-  } else {
-    // Handle local modes like mirror
-    const result = await createMirroredImage(b64)
-    imageData.outputs[id] = result
+
+    console.error('Photo generation failed', err)
     set(state => {
-      state.photos.unshift({
-        id,
-        mode: activeMode,
-        isBusy: false,
-        isVideo: false
-      })
+      state.photos = state.photos.map(photo =>
+        photo.id === id
+          ? {
+              ...photo,
+              isBusy: false,
+              error: getErrorReason(err),
+              errorMessage: guestErrorReasons.includes(err.reason)
+                ? err.message
+                : null
+            }
+          : photo
+      )
+    })
+  } finally {
+    if (controllers[id] === controller) {
+      delete controllers[id]
+    }
+  }
+}
+
+// Videos can be mp4 or webm depending on the provider, so their type is read
+// from the blob
+const getVideoExtension = async url =>
+  getExtension((await fetch(url).then(res => res.blob())).type)
+
+// Local effects (also ending a pipeline) and strips are jpeg, model outputs
+// png. Refined versions come from the model and are numbered.
+const getFileName = async (id, photo, versionId = photo.versionId) => {
+  const {mode, isVideo, isStrip, versions} = photo
+  const {isLocal, steps} = get().modes[mode] || {}
+  const version =
+    versionId && versionId !== rootVersionId
+      ? versions.findIndex(v => v.id === versionId)
+      : 0
+  const extension = isVideo
+    ? await getVideoExtension(imageData.outputs[id])
+    : !version && (isStrip || isLocal || steps?.at(-1).effect)
+    ? 'jpeg'
+    : 'png'
+  const safeModeName = mode.replace(/[^a-z0-9]/gi, '_').toLowerCase()
+  return `gembooth-${safeModeName}-${id.substring(0, 6)}${
+    version ? `-v${version}` : ''
+  }.${extension}`
+}
+
+// Image outputs get the event branding on their way out of the booth; videos
+// and the stored originals are left as they are.
+export const getBrandedUrl = url => {
+  const {branding} = get()
+  if (!branding.enabled || !url?.startsWith('data:image')) {
+    return Promise.resolve(url)
+  }
+
+  const branded =
+    brandedUrls.get(url) ||
+    brandImage(url, branding).catch(err => {
+      console.warn('Could not apply branding', err)
+      brandedUrls.delete(url)
+      return url
+    })
+
+  // Re-inserting moves it to the end, so the first key is the least recent
+  brandedUrls.delete(url)
+  brandedUrls.set(url, branded)
+  if (brandedUrls.size > maxBrandedUrls) {
+    brandedUrls.delete(brandedUrls.keys().next().value)
+  }
+
+  return branded
+}
+
+const downloadOutput = async id => {
+  const photo = get().photos.find(photo => photo.id === id)
+
+  if (photo.variants) {
+    for (const variant of photo.variants) {
+      const url = imageData.variants[id]?.[variant.mode]
+      if (url) {
+        downloadFile(await getBrandedUrl(url), await getFileName(id, variant))
+      }
+    }
+    return
+  }
+
+  downloadFile(
+    await getBrandedUrl(imageData.outputs[id]),
+    await getFileName(id, photo)
+  )
+}
+
+// For downloads and shares started from the focused view
+export const getOutputFileName = id =>
+  getFileName(
+    id,
+    get().photos.find(photo => photo.id === id)
+  )
+
+// A shared kiosk must not fill its downloads folder with guests' photos
+const autoDownload = id => {
+  if (!get().kiosk.enabled) {
+    downloadOutput(id)
+  }
+}
+
+export const downloadVariant = async (id, mode) =>
+  downloadFile(
+    await getBrandedUrl(imageData.variants[id][mode]),
+    await getFileName(id, {mode})
+  )
+
+export const downloadVersion = async (id, versionId) => {
+  const photo = get().photos.find(photo => photo.id === id)
+  downloadFile(
+    await getBrandedUrl(imageData.versions[id][versionId]),
+    await getFileName(id, photo, versionId)
+  )
+}
+
+// Sends the current version back to the model with a follow-up instruction.
+// The result becomes a child of that version and the photo's new output.
+export const refinePhoto = async (id, instruction) => {
+  moderate([instruction])
+
+  const photo = get().photos.find(photo => photo.id === id)
+  const parentId = photo.versionId || rootVersionId
+  const controller = new AbortController()
+  const {signal} = controller
+  controllers[id] = controller
+
+  const updatePhoto = fields =>
+    set(state => {
+      state.photos = state.photos.map(photo =>
+        photo.id === id ? {...photo, ...fields} : photo
+      )
+    })
+
+  updatePhoto({isRefining: true})
+
+  try {
+    const url = await generateImage({
+      prompt: getRefinePrompt(instruction),
+      inputFile: imageData.outputs[id],
+      signal,
+      job: {photoId: id, mode: photo.mode}
+    })
+
+    if (signal.aborted) {
+      throw abortError()
+    }
+
+    const version = createVersion(parentId, instruction)
+    await setVersions(id, {
+      [rootVersionId]: imageData.outputs[id],
+      ...imageData.versions[id],
+      [version.id]: url
+    })
+    await setOutput(id, url)
+
+    const {versions} = get().photos.find(photo => photo.id === id) || {}
+    updatePhoto({
+      versions: [...(versions || [createRootVersion(photo)]), version],
+      versionId: version.id
+    })
+  } finally {
+    updatePhoto({isRefining: false})
+    if (controllers[id] === controller) {
+      delete controllers[id]
+    }
+  }
+}
+
+export const selectCandidate = async (id, candidateIndex) => {
+  await setOutput(id, imageData.candidates[id][candidateIndex])
+  set(state => {
+    state.photos = state.photos.map(photo =>
+      photo.id === id ? {...photo, candidateIndex} : photo
+    )
+  })
+}
+
+// Makes an earlier version the photo's output; refining from there branches
+export const selectVersion = async (id, versionId) => {
+  await setOutput(id, imageData.versions[id][versionId])
+  set(state => {
+    state.photos = state.photos.map(photo =>
+      photo.id === id ? {...photo, versionId} : photo
+    )
+  })
+}
+
+// The resolved prompt and the values that went into it are kept on the
+// photo so a result can be reproduced later.
+const getModeFields = mode => {
+  const {modes, customPrompt, promptValues} = get()
+  const modeInfo =
+    mode === 'custom' ? {prompt: customPrompt} : modes[mode] || {prompt: ''}
+  const resolve = template =>
+    resolvePrompt(template, promptValues, modeInfo.variables)
+  const names = getTemplateNames(getModePrompts(modeInfo).join('\n'))
+
+  return {
+    mode,
+    prompt: getModePrompts(modeInfo).map(resolve).join('\n'),
+    steps: modeInfo.steps
+      ? modeInfo.steps.map(step =>
+          step.prompt ? {prompt: resolve(step.prompt)} : step
+        )
+      : null,
+    promptValues: names.length
+      ? Object.fromEntries(
+          names.map(name => [
+            name,
+            getVariableValue(name, promptValues, modeInfo.variables)
+          ])
+        )
+      : null,
+    isVideo: !!modeInfo.isVideo,
+    videoOptions: modeInfo.isVideo
+      ? parseVideoOptions(modeInfo.videoOptions)
+      : null
+  }
+}
+
+// Runs the active mode on a low-res frame so guests can see roughly what it
+// does before snapping. Nothing is stored.
+export const generatePreview = async (b64, signal) => {
+  const fields = getModeFields(get().activeMode)
+  moderate(getGuestText(fields))
+  return generateOutput(fields, b64, signal)
+}
+
+export const snapPhoto = async b64 => {
+  const id = crypto.randomUUID()
+  const {activeMode, multiMode, selectedModes} = get()
+  const isMulti = multiMode && selectedModes.length > 1
+
+  setInput(id, b64)
+  storeReferences(id, isMulti ? selectedModes : [activeMode])
+  set(state => {
+    state.photos.unshift({
+      id,
+      ...getModeFields(isMulti ? selectedModes[0] : activeMode),
+      variants: isMulti
+        ? selectedModes.map(mode => ({...getModeFields(mode), error: null}))
+        : null,
+      isBusy: true,
+      error: null,
+      createdAt: Date.now()
     })
+  })
 
-    const safeModeName = activeMode.replace(/[^a-z0-9]/gi, '_').toLowerCase()
-    const fileName = `gembooth-${safeModeName}-${id.substring(0, 6)}.jpeg`
-    downloadFile(result, fileName)
+  if (await generatePhoto(id)) {
+    autoDownload(id)
+  }
+}
+
+// Each burst frame goes through the active mode and the results are
+// composited into a single strip output.
+export const snapStrip = async frames => {
+  const id = crypto.randomUUID()
+
+  setFrames(id, frames)
+  setInput(id, await createPhotoStrip(frames))
+  storeReferences(id, [get().activeMode])
+  set(state => {
+    state.photos.unshift({
+      id,
+      ...getModeFields(state.activeMode),
+      isStrip: true,
+      isBusy: true,
+      error: null,
+      createdAt: Date.now()
+    })
+  })
+
+  if (await generatePhoto(id)) {
+    autoDownload(id)
+  }
+}
+
+// Reruns a failed photo from its stored input, optionally in a different mode
+export const retryPhoto = async (id, mode) => {
+  if (mode) {
+    storeReferences(id, [mode])
+  }
+
+  set(state => {
+    state.photos = state.photos.map(photo =>
+      photo.id === id
+        ? {
+            ...photo,
+            ...(mode ? {...getModeFields(mode), variants: null} : {}),
+            isBusy: true,
+            error: null,
+            errorMessage: null
+          }
+        : photo
+    )
+  })
+
+  if (await generatePhoto(id)) {
+    autoDownload(id)
   }
 }
 
 export const deletePhoto = id => {
+  controllers[id]?.abort()
+
   set(state => {
     state.photos = state.photos.filter(photo => photo.id !== id)
   })
 
-  delete imageData.inputs[id]
-  delete imageData.outputs[id]
+  removeImages(id)
+}
+
+// Clears every guest's photos and answers, e.g. when a kiosk session times
+// out. Jobs still running are aborted by deletePhoto.
+export const endSession = () => {
+  get().photos.forEach(photo => deletePhoto(photo.id))
+
+  set(state => {
+    state.gifUrl = null
+    state.promptValues = {}
+    state.referenceValues = {}
+    state.customPrompt = ''
+  })
 }
 
 export const setMode = mode =>
@@ -148,104 +812,361 @@ export const setMode = mode =>
     state.activeMode = mode
   })
 
-const processImageToCanvas = async (base64Data, size) => {
-  const img = new Image()
-  await new Promise((resolve, reject) => {
-    img.onload = resolve
-    img.onerror = reject
-    img.src = base64Data
+export const toggleMultiMode = () =>
+  set(state => {
+    state.multiMode = !state.multiMode
+    state.selectedModes = state.modes[state.activeMode]?.isVideo
+      ? []
+      : [state.activeMode]
   })
 
-  const canvas = document.createElement('canvas')
-  const ctx = canvas.getContext('2d')
-  canvas.width = size
-  canvas.height = size
+// In multi mode the first selected mode stays the active one
+export const toggleSelectedMode = mode =>
+  set(state => {
+    state.selectedModes = state.selectedModes.includes(mode)
+      ? state.selectedModes.filter(m => m !== mode)
+      : [...state.selectedModes, mode]
 
-  const imgAspect = img.width / img.height
-  const canvasAspect = 1
+    if (state.selectedModes.length) {
+      state.activeMode = state.selectedModes[0]
+    }
+  })
 
-  let drawWidth
-  let drawHeight
-  let drawX
-  let drawY
+export const saveMode = ({
+  id,
+  name,
+  emoji,
+  prompt,
+  isVideo,
+  videoOptions,
+  effect,
+  steps
+}) =>
+  set(state => {
+    const modeId = id || crypto.randomUUID()
+    const existing = state.modes[modeId]
 
-  if (imgAspect > canvasAspect) {
-    drawHeight = size
-    drawWidth = drawHeight * imgAspect
-    drawX = (size - drawWidth) / 2
-    drawY = 0
-  } else {
-    drawWidth = size
-    drawHeight = drawWidth / imgAspect
-    drawX = 0
-    drawY = (size - drawHeight) / 2
-  }
+    state.modes[modeId] = {
+      ...existing,
+      name,
+      emoji: emoji || '✨',
+      prompt,
+      isVideo: effect || steps ? undefined : isVideo,
+      videoOptions: isVideo && !effect && !steps ? videoOptions : undefined,
+      isLocal: effect ? true : undefined,
+      effect: effect || undefined,
+      steps: steps || undefined
+    }
+    if (!existing) {
+      state.modeOrder.push(modeId)
+    }
+  })
 
-  ctx.clearRect(0, 0, size, size)
-  ctx.drawImage(img, drawX, drawY, drawWidth, drawHeight)
+export const deleteMode = id =>
+  set(state => {
+    delete state.modes[id]
+    state.modeOrder = state.modeOrder.filter(m => m !== id)
+    state.selectedModes = state.selectedModes.filter(m => m !== id)
 
-  return ctx.getImageData(0, 0, size, size)
-}
+    if (state.activeMode === id) {
+      state.activeMode = state.modeOrder[0] || 'custom'
+    }
+  })
 
-const addFrameToGif = (gif, imageData, size, delay) => {
-  const palette = quantize(imageData.data, 256)
-  const indexed = applyPalette(imageData.data, palette)
+export const moveMode = (id, offset) =>
+  set(state => {
+    const from = state.modeOrder.indexOf(id)
+    const to = from + offset
 
-  gif.writeFrame(indexed, size, size, {
-    palette,
-    delay
+    if (to >= 0 && to < state.modeOrder.length) {
+      state.modeOrder.splice(from, 1)
+      state.modeOrder.splice(to, 0, id)
+    }
   })
-}
 
-export const makeGif = async () => {
-  const {photos} = get()
+export const toggleModeHidden = id =>
+  set(state => {
+    state.modes[id].hidden = !state.modes[id].hidden
+  })
 
+export const resetModes = () =>
   set(state => {
-    state.gifInProgress = true
+    Object.assign(state, getDefaultLibrary())
+    state.activeMode = state.modeOrder[0]
+    state.selectedModes = []
   })
 
-  try {
-    const gif = new GIFEncoder()
-    const readyPhotos = photos.filter(photo => !photo.isBusy)
+// Modes from a pack replace ones with the same id and are otherwise appended
+export const importModes = json => {
+  const imported = parseModePack(json)
 
-    for (const photo of readyPhotos) {
-      const inputImageData = await processImageToCanvas(
-        imageData.inputs[photo.id],
-        gifSize
-      )
-      addFrameToGif(gif, inputImageData, gifSize, 333)
+  set(state => {
+    imported.forEach(({id, ...mode}) => {
+      if (!state.modes[id]) {
+        state.modeOrder.push(id)
+      }
+      state.modes[id] = mode
+    })
+  })
 
-      const outputImageData = await processImageToCanvas(
-        imageData.outputs[photo.id],
-        gifSize
-      )
-      addFrameToGif(gif, outputImageData, gifSize, 833)
+  return imported.length
+}
+
+export const exportModes = () => {
+  const pack = createModePack(get(), 'GemBooth modes')
+  downloadBlob(
+    new Blob([JSON.stringify(pack, null, 2)], {type: 'application/json'}),
+    'gembooth-modes.json'
+  )
+}
+
+export const setPromptValues = values =>
+  set(state => {
+    Object.assign(state.promptValues, values)
+  })
+
+export const setReferenceValues = values =>
+  set(state => {
+    Object.assign(state.referenceValues, values)
+  })
+
+// An operator's image for a mode's stock reference slot, or null to remove it
+export const setStockReference = (key, url) => {
+  set(state => {
+    if (url) {
+      state.stockReferences[key] = url
+    } else {
+      delete state.stockReferences[key]
     }
+  })
+  saveStockReference(key, url)
+}
 
-    gif.finish()
+export const setCountdown = seconds =>
+  set(state => {
+    state.countdown = seconds
+  })
 
-    const gifUrl = URL.createObjectURL(
-      new Blob([gif.buffer], {type: 'image/gif'})
-    )
+export const toggleBurstMode = () =>
+  set(state => {
+    state.burstMode = !state.burstMode
+  })
+
+// Builds a GIF from the photos in `ids`, in that order. `outputDelays` holds
+// per-photo overrides of how long each output frame is shown.
+export const makeGif = async ({ids, outputDelays = {}}) => {
+  const {photos, gifSettings, branding} = get()
+
+  set(state => {
+    state.gifInProgress = true
+    state.gifProgress = 0
+  })
+
+  try {
+    const blob = await buildGif({
+      ...gifSettings,
+      overlay: branding.enabled ? await createOverlay(branding) : null,
+      items: ids.map(id => ({
+        input: imageData.inputs[id],
+        output: imageData.outputs[id],
+        isVideo: photos.find(photo => photo.id === id)?.isVideo,
+        outputDelay: outputDelays[id] ?? gifSettings.outputDelay
+      })),
+      onProgress: progress =>
+        set(state => {
+          state.gifProgress = progress
+        })
+    })
 
     set(state => {
-      state.gifUrl = gifUrl
+      state.gifUrl = URL.createObjectURL(blob)
     })
   } catch (error) {
     console.error('Error creating GIF:', error)
-    return null
+    throw error
   } finally {
     set(state => {
       state.gifInProgress = false
+      state.gifProgress = null
     })
   }
 }
 
+export const setGifSettings = settings =>
+  set(state => {
+    Object.assign(state.gifSettings, settings)
+  })
+
+const getReadyPhotos = () =>
+  get().photos.filter(photo => !photo.isBusy && !photo.error)
+
+const runExport = async (kind, fn) => {
+  set(state => {
+    state.exportInProgress = kind
+    state.exportProgress = 0
+    state.exportError = null
+  })
+
+  try {
+    await fn(progress =>
+      set(state => {
+        state.exportProgress = progress
+      })
+    )
+  } catch (error) {
+    console.error(`Error exporting ${kind}:`, error)
+    set(state => {
+      state.exportError = `Couldn't export the ${kind}: ${error.message}`
+    })
+  } finally {
+    set(state => {
+      state.exportInProgress = null
+      state.exportProgress = null
+    })
+  }
+}
+
+// Oldest first, so the slideshow and archive follow the session's timeline
+export const exportSlideshow = () =>
+  runExport('slideshow', async onProgress => {
+    const blob = await renderSlideshow({
+      items: getReadyPhotos()
+        .reverse()
+        .map(({id, isVideo}) => ({
+          input: imageData.inputs[id],
+          output: imageData.outputs[id],
+          isVideo
+        })),
+      onProgress
+    })
+    downloadBlob(blob, `gembooth-slideshow.${getExtension(blob.type)}`)
+  })
+
+export const exportArchive = () =>
+  runExport('archive', async () => {
+    const blob = await createArchive(
+      getReadyPhotos()
+        .reverse()
+        .map(photo => ({
+          photo,
+          input: imageData.inputs[photo.id],
+          output: imageData.outputs[photo.id],
+          variants: imageData.variants[photo.id],
+          frames: imageData.frames[photo.id],
+          stages: imageData.stages[photo.id],
+          versions: imageData.versions[photo.id]
+        }))
+    )
+    downloadBlob(blob, 'gembooth-session.zip')
+  })
+
+export const dismissExportError = () =>
+  set(state => {
+    state.exportError = null
+  })
+
 export const hideGif = () =>
   set(state => {
     state.gifUrl = null
   })
 
+export const setBranding = fields =>
+  set(state => {
+    Object.assign(state.branding, fields)
+  })
+
+export const setPrintSettings = fields =>
+  set(state => {
+    Object.assign(state.printSettings, fields)
+  })
+
+// Jobs keep their own copy of the image, so the queue survives the photo
+// being deleted, e.g. when a kiosk session ends
+export const addToPrintQueue = photoId =>
+  set(state => {
+    state.printQueue.push({
+      id: crypto.randomUUID(),
+      src: imageData.outputs[photoId],
+      copies: 1
+    })
+  })
+
+export const setPrintCopies = (id, copies) =>
+  set(state => {
+    state.printQueue.find(job => job.id === id).copies = copies
+  })
+
+export const removeFromPrintQueue = id =>
+  set(state => {
+    state.printQueue = state.printQueue.filter(job => job.id !== id)
+  })
+
+export const clearPrintQueue = () =>
+  set(state => {
+    state.printQueue = []
+  })
+
+const getPrintSource = url =>
+  get().printSettings.branded ? getBrandedUrl(url) : url
+
+export const renderPrintPreview = async src =>
+  renderPage(await getPrintSource(src), get().printSettings)
+
+// Jobs are `{src, copies}`; every job becomes `copies` identical pages
+const runPrint = async jobs => {
+  const {printSettings} = get()
+
+  set(state => {
+    state.printInProgress = true
+  })
+
+  try {
+    const pages = []
+    for (const {src, copies} of jobs) {
+      const page = await renderPage(await getPrintSource(src), printSettings)
+      pages.push(...Array(copies).fill(page))
+    }
+
+    await printPages(pages, getPageSize(printSettings))
+    return true
+  } catch (err) {
+    console.error('Printing failed', err)
+    return false
+  } finally {
+    set(state => {
+      state.printInProgress = false
+    })
+  }
+}
+
+export const printPhoto = photoId =>
+  runPrint([{src: imageData.outputs[photoId], copies: 1}])
+
+export const printQueuedPhotos = async () => {
+  if (await runPrint(get().printQueue)) {
+    clearPrintQueue()
+  }
+}
+
+export const setKiosk = fields =>
+  set(state => {
+    Object.assign(state.kiosk, fields)
+    state.kiosk.timeout = clampTimeout(state.kiosk.timeout)
+    restrictModes(state)
+  })
+
+export const setSafety = fields =>
+  set(state => {
+    Object.assign(state.safety, fields)
+  })
+
+export const setCamera = fields =>
+  set(state => {
+    Object.assign(state.camera, fields)
+  })
+
+export {moveJob, prioritizeJob, setConcurrency} from './queue'
+
 export const setCustomPrompt = prompt =>
   set(state => {
     state.customPrompt = prompt
@@ -0,0 +1,146 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+// Event branding drawn over finished images: a PNG frame stretched over the
+// whole picture, a line of event text and a logo watermark. Stored outputs
+// are never modified; branded copies are rendered when an image is shown,
+// downloaded, shared or turned into a GIF.
+import * as db from './db'
+import {loadImage, parseDataUrl} from './utils'
+import {loadSettings, saveSettings} from './settings'
+
+const storageKey = 'gembooth-branding'
+const saveDelay = 500
+// Frames and logos are data URLs too large for localStorage, so they live in
+// IndexedDB and the rest of the settings in localStorage
+const imageKeys = ['frame', 'logo']
+
+export const logoPositions = {
+  'top-left': 'Top left',
+  'top-right': 'Top right',
+  'bottom-left': 'Bottom left',
+  'bottom-right': 'Bottom right'
+}
+
+export const defaultBranding = {
+  enabled: false,
+  frame: null,
+  text: '',
+  showDate: false,
+  logo: null,
+  logoPosition: 'bottom-right',
+  logoOpacity: 0.8,
+  logoSize: 0.2
+}
+
+// Older saves kept the images in localStorage; they're moved over on the
+// next save
+export const loadBranding = () =>
+  loadSettings(storageKey, defaultBranding, 'branding')
+
+let saveTimer
+// What IndexedDB holds, so unchanged images aren't written again
+let savedImages = {}
+
+export const loadBrandingImages = async () => {
+  savedImages = Object.fromEntries(await db.entries('branding'))
+  return savedImages
+}
+
+const writeBranding = async branding => {
+  saveSettings(storageKey, {...branding, frame: null, logo: null}, 'branding')
+
+  for (const key of imageKeys) {
+    if (branding[key] === savedImages[key]) {
+      continue
+    }
+    savedImages = {...savedImages, [key]: branding[key]}
+    try {
+      await (branding[key]
+        ? db.put('branding', key, branding[key])
+        : db.remove('branding', key))
+    } catch (err) {
+      console.warn('Could not save branding image', err)
+    }
+  }
+}
+
+// Debounced, since sliders and the text field change on every keystroke
+export const saveBranding = branding => {
+  clearTimeout(saveTimer)
+  saveTimer = setTimeout(() => writeBranding(branding), saveDelay)
+}
+
+export const getCaption = ({text, showDate}) =>
+  [text.trim(), showDate && new Date().toLocaleDateString()]
+    .filter(Boolean)
+    .join(' · ')
+
+// Loads the frame and logo once and returns a function that draws the
+// branding onto any canvas context, scaled to its size.
+export const createOverlay = async branding => {
+  const [frame, logo] = await Promise.all([
+    branding.frame && loadImage(branding.frame),
+    branding.logo && loadImage(branding.logo)
+  ])
+  const caption = getCaption(branding)
+
+  return ctx => {
+    const {width, height} = ctx.canvas
+    const unit = Math.min(width, height)
+
+    if (frame) {
+      ctx.drawImage(frame, 0, 0, width, height)
+    }
+
+    if (logo) {
+      const logoWidth = unit * branding.logoSize
+      const logoHeight = (logoWidth * logo.height) / logo.width
+      const margin = unit * 0.04
+      const [vertical, horizontal] = branding.logoPosition.split('-')
+
+      ctx.save()
+      ctx.globalAlpha = branding.logoOpacity
+      ctx.drawImage(
+        logo,
+        horizontal === 'left' ? margin : width - logoWidth - margin,
+        vertical === 'top' ? margin : height - logoHeight - margin,
+        logoWidth,
+        logoHeight
+      )
+      ctx.restore()
+    }
+
+    if (caption) {
+      const fontSize = Math.round(unit * 0.045)
+
+      ctx.save()
+      ctx.font = `bold ${fontSize}px Space Mono, monospace`
+      ctx.textAlign = 'center'
+      ctx.textBaseline = 'bottom'
+      ctx.fillStyle = '#fff'
+      ctx.shadowColor = '#000a'
+      ctx.shadowBlur = fontSize / 2
+      ctx.fillText(caption, width / 2, height - fontSize, width * 0.9)
+      ctx.restore()
+    }
+  }
+}
+
+// Returns a branded copy of an image data URL in the same format
+export const brandImage = async (src, branding) => {
+  const [img, overlay] = await Promise.all([
+    loadImage(src),
+    createOverlay(branding)
+  ])
+  const canvas = document.createElement('canvas')
+  const ctx = canvas.getContext('2d')
+  canvas.width = img.width
+  canvas.height = img.height
+
+  ctx.drawImage(img, 0, 0)
+  overlay(ctx)
+
+  return canvas.toDataURL(parseDataUrl(src).mimeType, 0.92)
+}
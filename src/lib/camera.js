@@ -0,0 +1,99 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+import {loadSettings, saveSettings} from './settings'
+
+const storageKey = 'gembooth-camera'
+
+// Width / height of the captured frame
+export const captureAspects = {
+  '1:1': {name: 'Square', ratio: 1},
+  '4:3': {name: '4:3', ratio: 4 / 3},
+  '16:9': {name: '16:9', ratio: 16 / 9},
+  '3:4': {name: 'Portrait 3:4', ratio: 3 / 4},
+  '9:16': {name: 'Portrait 9:16', ratio: 9 / 16}
+}
+
+// `deviceId` wins over `facingMode`, which is all phones need to switch
+// between the front and back cameras.
+export const defaultCamera = {
+  deviceId: null,
+  facingMode: 'user',
+  aspect: '1:1',
+  mirror: true
+}
+
+export const loadCamera = () =>
+  loadSettings(storageKey, defaultCamera, 'camera settings')
+
+export const saveCamera = camera =>
+  saveSettings(storageKey, camera, 'camera settings')
+
+// Labels are only filled in once the page has camera permission
+export const getCameras = async () => {
+  const devices = await navigator.mediaDevices.enumerateDevices()
+  return devices
+    .filter(device => device.kind === 'videoinput')
+    .map((device, i) => ({
+      deviceId: device.deviceId,
+      label: device.label || `Camera ${i + 1}`
+    }))
+}
+
+export const openCamera = ({deviceId, facingMode}) =>
+  navigator.mediaDevices.getUserMedia({
+    video: {
+      width: {ideal: 1920},
+      height: {ideal: 1080},
+      ...(deviceId
+        ? {deviceId: {exact: deviceId}}
+        : {facingMode: {ideal: facingMode}})
+    },
+    audio: false
+  })
+
+const cameraErrors = {
+  NotAllowedError:
+    'Camera access was blocked. Allow it in the browser settings and try again.',
+  NotFoundError: 'No camera was found. Connect one and try again.',
+  NotReadableError: 'The camera is in use by another app.',
+  OverconstrainedError: 'The selected camera is not available.'
+}
+
+export const getCameraError = err =>
+  cameraErrors[err?.name] || 'The camera could not be started.'
+
+// Center-crops the current video frame to `aspect`, optionally mirrored and
+// scaled down so its longer side is at most `maxSize`
+export const drawFrame = (video, {aspect, mirror}, maxSize = Infinity) => {
+  const {videoWidth, videoHeight} = video
+  const ratio = captureAspects[aspect]?.ratio || 1
+  const width = Math.min(videoWidth, videoHeight * ratio)
+  const height = width / ratio
+  const scale = Math.min(1, maxSize / Math.max(width, height))
+  const canvas = document.createElement('canvas')
+  const ctx = canvas.getContext('2d')
+  canvas.width = Math.round(width * scale)
+  canvas.height = Math.round(height * scale)
+
+  if (mirror) {
+    ctx.scale(-1, 1)
+  }
+  ctx.drawImage(
+    video,
+    (videoWidth - width) / 2,
+    (videoHeight - height) / 2,
+    width,
+    height,
+    mirror ? -canvas.width : 0,
+    0,
+    canvas.width,
+    canvas.height
+  )
+
+  return canvas
+}
+
+export const captureFrame = (video, settings, maxSize) =>
+  drawFrame(video, settings, maxSize).toDataURL('image/jpeg')
@@ -0,0 +1,52 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+const params = new URLSearchParams(window.location.search)
+
+const defaultShareChannels = [
+  {
+    name: 'WhatsApp',
+    icon: 'chat',
+    url: 'https://wa.me/?text={text}%20{url}'
+  },
+  {
+    name: 'Email',
+    icon: 'mail',
+    url: 'mailto:?subject=GemBooth&body={text}%20{url}'
+  },
+  {
+    name: 'X',
+    icon: 'tag',
+    url: 'https://x.com/intent/post?text={text}&url={url}'
+  }
+]
+
+// A bad override shouldn't take the whole booth down, so it falls back to the
+// default channels
+const parseShareChannels = json => {
+  try {
+    const channels = JSON.parse(json)
+    if (Array.isArray(channels)) {
+      return channels
+    }
+    console.warn('SHARE_CHANNELS is not an array')
+  } catch (err) {
+    console.warn('Could not parse SHARE_CHANNELS', err)
+  }
+
+  return defaultShareChannels
+}
+
+export default {
+  // `?provider=mock` in the URL overrides the build-time setting
+  provider: params.get('provider') || process.env.PROVIDER || 'proxy',
+  proxyUrl: '/api',
+  mockDelay: 1_500,
+  shareText: 'Check out what I made with GemBooth!',
+  // `{text}` and `{url}` are filled in when sharing. Override the list with a
+  // SHARE_CHANNELS JSON array in .env.local.
+  shareChannels: process.env.SHARE_CHANNELS
+    ? parseShareChannels(process.env.SHARE_CHANNELS)
+    : defaultShareChannels
+}
@@ -0,0 +1,105 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+const dbName = 'gembooth'
+const dbVersion = 8
+const storeNames = [
+  'photos',
+  'inputs',
+  'outputs',
+  'frames',
+  'variants',
+  'stages',
+  'versions',
+  'references',
+  'stock',
+  'candidates',
+  'branding'
+]
+
+let dbPromise
+
+// A tab still on an older version blocks the upgrade until it lets go, so
+// every connection closes as soon as a newer one asks. Failed opens aren't
+// cached, so the next call tries again.
+const open = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(dbName, dbVersion)
+      let isBlocked = false
+
+      request.onupgradeneeded = () => {
+        const db = request.result
+        storeNames.forEach(name => {
+          if (!db.objectStoreNames.contains(name)) {
+            db.createObjectStore(name)
+          }
+        })
+      }
+      request.onsuccess = () => {
+        const db = request.result
+        if (isBlocked) {
+          db.close()
+          return
+        }
+
+        db.onversionchange = () => {
+          db.close()
+          dbPromise = null
+        }
+        resolve(db)
+      }
+      request.onblocked = () => {
+        isBlocked = true
+        reject(new Error('GemBooth is open in another tab on an older version'))
+      }
+      request.onerror = () => reject(request.error)
+    }).catch(err => {
+      dbPromise = null
+      throw err
+    })
+  }
+
+  return dbPromise
+}
+
+const transact = async (names, mode, fn) => {
+  const db = await open()
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(names, mode)
+    const result = fn(tx)
+
+    tx.oncomplete = () => resolve(result?.result)
+    tx.onerror = () => reject(tx.error)
+    tx.onabort = () => reject(tx.error)
+  })
+}
+
+export const getAll = storeName =>
+  transact(storeName, 'readonly', tx => tx.objectStore(storeName).getAll())
+
+export const entries = async storeName => {
+  const result = []
+
+  await transact(storeName, 'readonly', tx => {
+    tx.objectStore(storeName).openCursor().onsuccess = e => {
+      const cursor = e.target.result
+      if (cursor) {
+        result.push([cursor.key, cursor.value])
+        cursor.continue()
+      }
+    }
+  })
+
+  return result
+}
+
+export const put = (storeName, key, value) =>
+  transact(storeName, 'readwrite', tx =>
+    tx.objectStore(storeName).put(value, key)
+  )
+
+export const remove = (storeName, key) =>
+  transact(storeName, 'readwrite', tx => tx.objectStore(storeName).delete(key))
@@ -0,0 +1,315 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+// Canvas effects that run entirely in the browser. Local modes reference one
+// of these by id (`effect`), so they keep working without the API.
+import {loadImage} from './utils'
+
+const createCanvas = (width, height) => {
+  const canvas = document.createElement('canvas')
+  canvas.width = width
+  canvas.height = height
+  return [canvas, canvas.getContext('2d', {willReadFrequently: true})]
+}
+
+const getPixels = img => {
+  const [, ctx] = createCanvas(img.width, img.height)
+  ctx.drawImage(img, 0, 0)
+  return ctx.getImageData(0, 0, img.width, img.height)
+}
+
+const luminance = (data, i) =>
+  0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]
+
+const hexToRgb = hex => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16))
+
+// Small seeded PRNG so effects like glitch give the same output every time
+const random = seed => () => {
+  seed = (seed * 16807) % 2147483647
+  return (seed - 1) / 2147483646
+}
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max)
+
+// Crops to a square around the first face found, or the center when the
+// browser has no FaceDetector or finds nobody
+const cropFace = async (img, {padding = 0.6} = {}) => {
+  let box
+  if ('FaceDetector' in window) {
+    try {
+      const detector = new window.FaceDetector({maxDetectedFaces: 1})
+      box = (await detector.detect(img))[0]?.boundingBox
+    } catch (err) {
+      console.warn('Face detection failed', err)
+    }
+  }
+
+  const maxSize = Math.min(img.width, img.height)
+  const size = Math.round(
+    box
+      ? Math.min(Math.max(box.width, box.height) * (1 + padding * 2), maxSize)
+      : maxSize
+  )
+  const cx = box ? box.x + box.width / 2 : img.width / 2
+  const cy = box ? box.y + box.height / 2 : img.height / 2
+  const [canvas, ctx] = createCanvas(size, size)
+
+  ctx.drawImage(
+    img,
+    clamp(cx - size / 2, 0, img.width - size),
+    clamp(cy - size / 2, 0, img.height - size),
+    size,
+    size,
+    0,
+    0,
+    size,
+    size
+  )
+
+  return canvas
+}
+
+// A plain passe-partout border around the image
+const frame = (img, {color = '#f4efe6', width = 0.06} = {}) => {
+  const border = Math.round(Math.max(img.width, img.height) * width)
+  const [canvas, ctx] = createCanvas(
+    img.width + border * 2,
+    img.height + border * 2
+  )
+
+  ctx.fillStyle = color
+  ctx.fillRect(0, 0, canvas.width, canvas.height)
+  ctx.drawImage(img, border, border)
+
+  return canvas
+}
+
+const mirror = img => {
+  const {width, height} = img
+  const [canvas, ctx] = createCanvas(width * 2, height)
+
+  // Draw original image on the left
+  ctx.drawImage(img, 0, 0, width, height)
+
+  // Draw mirrored image on the right
+  ctx.scale(-1, 1)
+  ctx.drawImage(img, -width * 2, 0, width, height)
+
+  return canvas
+}
+
+const quadMirror = img => {
+  const {width, height} = img
+  const [canvas, ctx] = createCanvas(width, height)
+  const w = width / 2
+  const h = height / 2
+
+  ;[
+    [1, 1],
+    [-1, 1],
+    [1, -1],
+    [-1, -1]
+  ].forEach(([sx, sy], i) => {
+    const x = (i % 2) * w
+    const y = Math.floor(i / 2) * h
+    ctx.setTransform(sx, 0, 0, sy, sx < 0 ? x + w : x, sy < 0 ? y + h : y)
+    ctx.drawImage(img, 0, 0, w, h)
+  })
+
+  return canvas
+}
+
+const kaleidoscope = (img, {segments = 8} = {}) => {
+  const size = Math.min(img.width, img.height)
+  const [canvas, ctx] = createCanvas(size, size)
+  const radius = size / 2
+  const angle = (Math.PI * 2) / segments
+
+  for (let i = 0; i < segments; i++) {
+    ctx.save()
+    ctx.translate(radius, radius)
+    ctx.rotate(i * angle)
+    if (i % 2) {
+      ctx.scale(1, -1)
+      ctx.rotate(-angle)
+    }
+    ctx.beginPath()
+    ctx.moveTo(0, 0)
+    ctx.arc(0, 0, radius * 1.5, 0, angle + 0.01)
+    ctx.closePath()
+    ctx.clip()
+    ctx.drawImage(img, -img.width / 2, -img.height / 2)
+    ctx.restore()
+  }
+
+  return canvas
+}
+
+const halftone = (img, {cellSize = 10} = {}) => {
+  const {width, height} = img
+  const {data} = getPixels(img)
+  const [canvas, ctx] = createCanvas(width, height)
+  const cell = Math.max(4, Math.round((cellSize * width) / 1024))
+
+  ctx.fillStyle = '#fff'
+  ctx.fillRect(0, 0, width, height)
+
+  for (let y = 0; y < height; y += cell) {
+    for (let x = 0; x < width; x += cell) {
+      const cx = Math.min(x + Math.floor(cell / 2), width - 1)
+      const cy = Math.min(y + Math.floor(cell / 2), height - 1)
+      const i = (cy * width + cx) * 4
+      const darkness = 1 - luminance(data, i) / 255
+
+      ctx.fillStyle = `rgb(${data[i]}, ${data[i + 1]}, ${data[i + 2]})`
+      ctx.beginPath()
+      ctx.arc(cx, cy, (cell / 2) * Math.sqrt(darkness) * 1.2, 0, Math.PI * 2)
+      ctx.fill()
+    }
+  }
+
+  return canvas
+}
+
+const pixelate = (img, {blocks = 48} = {}) => {
+  const {width, height} = img
+  const scale = blocks / Math.max(width, height)
+  const [small, smallCtx] = createCanvas(
+    Math.max(1, Math.round(width * scale)),
+    Math.max(1, Math.round(height * scale))
+  )
+  const [canvas, ctx] = createCanvas(width, height)
+
+  smallCtx.drawImage(img, 0, 0, small.width, small.height)
+  ctx.imageSmoothingEnabled = false
+  ctx.drawImage(small, 0, 0, width, height)
+
+  return canvas
+}
+
+const duotone = (img, {dark = '#1b0b4a', light = '#ff6f61'} = {}) => {
+  const pixels = getPixels(img)
+  const {data} = pixels
+  const from = hexToRgb(dark)
+  const to = hexToRgb(light)
+  const [canvas, ctx] = createCanvas(img.width, img.height)
+
+  for (let i = 0; i < data.length; i += 4) {
+    const t = luminance(data, i) / 255
+    for (let c = 0; c < 3; c++) {
+      data[i + c] = from[c] + (to[c] - from[c]) * t
+    }
+  }
+
+  ctx.putImageData(pixels, 0, 0)
+  return canvas
+}
+
+const glitch = img => {
+  const {width, height} = img
+  const source = getPixels(img)
+  const [canvas, ctx] = createCanvas(width, height)
+  const output = ctx.createImageData(width, height)
+  const next = random(width * 31 + height)
+  const shift = Math.round(width * 0.012)
+
+  // Offset the red and blue channels in opposite directions
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4
+      const left = (y * width + Math.max(x - shift, 0)) * 4
+      const right = (y * width + Math.min(x + shift, width - 1)) * 4
+      output.data[i] = source.data[left]
+      output.data[i + 1] = source.data[i + 1]
+      output.data[i + 2] = source.data[right + 2]
+      output.data[i + 3] = 255
+    }
+  }
+  ctx.putImageData(output, 0, 0)
+
+  // Then displace a few horizontal slices
+  for (let n = 0; n < 12; n++) {
+    const y = Math.floor(next() * height)
+    const h = Math.ceil(next() * height * 0.04)
+    const dx = Math.round((next() - 0.5) * width * 0.15)
+    ctx.drawImage(canvas, 0, y, width, h, dx, y, width, h)
+  }
+
+  return canvas
+}
+
+// Sobel edge detection, drawn as dark lines on paper
+const sketch = img => {
+  const {width, height} = img
+  const source = getPixels(img)
+  const [canvas, ctx] = createCanvas(width, height)
+  const output = ctx.createImageData(width, height)
+  const gray = new Float32Array(width * height)
+
+  for (let i = 0; i < gray.length; i++) {
+    gray[i] = luminance(source.data, i * 4)
+  }
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const at = (dx, dy) =>
+        gray[
+          Math.min(Math.max(y + dy, 0), height - 1) * width +
+            Math.min(Math.max(x + dx, 0), width - 1)
+        ]
+      const gx =
+        at(1, -1) +
+        2 * at(1, 0) +
+        at(1, 1) -
+        at(-1, -1) -
+        2 * at(-1, 0) -
+        at(-1, 1)
+      const gy =
+        at(-1, 1) +
+        2 * at(0, 1) +
+        at(1, 1) -
+        at(-1, -1) -
+        2 * at(0, -1) -
+        at(1, -1)
+      const value = 255 - Math.min(255, Math.hypot(gx, gy))
+      const i = (y * width + x) * 4
+
+      output.data[i] = output.data[i + 1] = output.data[i + 2] = value
+      output.data[i + 3] = 255
+    }
+  }
+
+  ctx.putImageData(output, 0, 0)
+  return canvas
+}
+
+const effects = {
+  mirror: {name: 'Mirror', apply: mirror, isWide: true},
+  quadMirror: {name: 'Quad mirror', apply: quadMirror},
+  kaleidoscope: {name: 'Kaleidoscope', apply: kaleidoscope},
+  halftone: {name: 'Halftone', apply: halftone},
+  pixelate: {name: 'Pixelate', apply: pixelate},
+  duotone: {name: 'Duotone', apply: duotone},
+  glitch: {name: 'Glitch', apply: glitch},
+  sketch: {name: 'Sketch', apply: sketch},
+  cropFace: {name: 'Crop to face', apply: cropFace},
+  frame: {name: 'Frame', apply: frame}
+}
+
+// Own keys only, so ids like 'constructor' from an imported pack don't resolve
+// to Object.prototype members
+export const getEffect = id => (Object.hasOwn(effects, id) ? effects[id] : null)
+
+export const applyEffect = async (id, src, options) => {
+  const effect = getEffect(id)
+  if (!effect) {
+    throw new Error(`Unknown effect: ${id}`)
+  }
+
+  const img = await loadImage(src)
+  const canvas = await effect.apply(img, options)
+  return canvas.toDataURL('image/jpeg')
+}
+
+export default effects
@@ -0,0 +1,35 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+export const errorReasons = {
+  timeout: 'Timed out',
+  noCandidates: 'No result',
+  safety: 'Blocked by safety filters',
+  moderation: 'Not allowed at this event',
+  quota: 'Quota exceeded',
+  unknown: 'Something went wrong'
+}
+
+export const generationError = (reason, message) =>
+  Object.assign(new Error(message), {reason})
+
+export const getErrorReason = error => {
+  if (error?.reason) {
+    return error.reason
+  }
+
+  if (
+    error?.status === 429 ||
+    error?.code === 429 ||
+    /RESOURCE_EXHAUSTED|quota|\b429\b/i.test(error?.message)
+  ) {
+    return 'quota'
+  }
+
+  return 'unknown'
+}
+
+export const abortError = () => new DOMException('Aborted', 'AbortError')
+
+export const isAbortError = error => error?.name === 'AbortError'
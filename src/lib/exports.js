@@ -0,0 +1,261 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+import {zipSync} from 'fflate'
+import {loadImage, loadVideo} from './utils'
+
+const slideshowSize = [1280, 720]
+const frameRate = 30
+const inputDuration = 1_000
+const outputDuration = 2_500
+// Recorded webm (e.g. from the mock provider) often reports an Infinity
+// duration, which would keep the recorder running forever
+const videoFallbackDuration = 5_000
+
+const mimeTypes = [
+  'video/mp4;codecs=avc1',
+  'video/webm;codecs=vp9',
+  'video/webm;codecs=vp8',
+  'video/webm'
+]
+
+const extensions = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+  'video/mp4': 'mp4',
+  'video/webm': 'webm'
+}
+
+export const getExtension = mimeType =>
+  extensions[mimeType?.split(';')[0]] || 'bin'
+
+const drawContained = (ctx, source, sourceWidth, sourceHeight) => {
+  const {width, height} = ctx.canvas
+  const scale = Math.min(width / sourceWidth, height / sourceHeight)
+  const drawWidth = sourceWidth * scale
+  const drawHeight = sourceHeight * scale
+
+  ctx.fillStyle = '#000'
+  ctx.fillRect(0, 0, width, height)
+  ctx.drawImage(
+    source,
+    (width - drawWidth) / 2,
+    (height - drawHeight) / 2,
+    drawWidth,
+    drawHeight
+  )
+}
+
+const buildTimeline = async items => {
+  const segments = []
+
+  for (const {input, output, isVideo} of items) {
+    segments.push({image: await loadImage(input), duration: inputDuration})
+
+    if (isVideo) {
+      const video = await loadVideo(output)
+      segments.push({
+        video,
+        duration: Number.isFinite(video.duration)
+          ? video.duration * 1000
+          : videoFallbackDuration
+      })
+    } else {
+      segments.push({image: await loadImage(output), duration: outputDuration})
+    }
+  }
+
+  return segments
+}
+
+/**
+ * Records the session as a video slideshow in real time: each input is shown
+ * briefly, followed by its output (video outputs play through). Resolves to a
+ * Blob in the first container the browser can record.
+ */
+export const renderSlideshow = async ({items, onProgress}) => {
+  const mimeType = mimeTypes.find(type => MediaRecorder.isTypeSupported(type))
+  if (!mimeType) {
+    throw new Error('This browser cannot record video')
+  }
+
+  const segments = await buildTimeline(items)
+  const total = segments.reduce((sum, {duration}) => sum + duration, 0)
+  const canvas = document.createElement('canvas')
+  const ctx = canvas.getContext('2d')
+  ;[canvas.width, canvas.height] = slideshowSize
+
+  const recorder = new MediaRecorder(canvas.captureStream(frameRate), {
+    mimeType
+  })
+  const chunks = []
+  recorder.ondataavailable = e => chunks.push(e.data)
+  const stopped = new Promise(resolve => (recorder.onstop = resolve))
+
+  const start = performance.now()
+  let current = null
+
+  await new Promise(resolve => {
+    // A timer rather than requestAnimationFrame keeps recording if the tab
+    // is in the background.
+    const tick = () => {
+      const elapsed = performance.now() - start
+      if (elapsed >= total) {
+        resolve()
+        return
+      }
+
+      let offset = elapsed
+      const segment = segments.find(({duration}) => {
+        if (offset < duration) {
+          return true
+        }
+        offset -= duration
+        return false
+      })
+
+      if (segment !== current) {
+        current?.video?.pause()
+        if (segment.video) {
+          segment.video.currentTime = 0
+          segment.video.play()
+        }
+        current = segment
+      }
+
+      if (segment.video) {
+        const {video} = segment
+        drawContained(ctx, video, video.videoWidth, video.videoHeight)
+      } else {
+        const {image} = segment
+        drawContained(ctx, image, image.width, image.height)
+      }
+
+      onProgress?.(elapsed / total)
+      setTimeout(tick, 1000 / frameRate)
+    }
+
+    recorder.start()
+    tick()
+  })
+
+  current?.video?.pause()
+  recorder.stop()
+  await stopped
+
+  return new Blob(chunks, {type: mimeType.split(';')[0]})
+}
+
+const toBytes = async url => {
+  const blob = await fetch(url).then(res => res.blob())
+  return {
+    bytes: new Uint8Array(await blob.arrayBuffer()),
+    extension: getExtension(blob.type)
+  }
+}
+
+/**
+ * Packs every photo's files plus a manifest.json describing them. Each entry
+ * is `{photo, input, output, variants, frames, stages, versions}` where the
+ * media are URLs.
+ */
+export const createArchive = async entries => {
+  const files = {}
+  const manifest = {
+    app: 'GemBooth',
+    exportedAt: new Date().toISOString(),
+    photos: []
+  }
+
+  const addFile = async (name, url) => {
+    const {bytes, extension} = await toBytes(url)
+    const fileName = `${name}.${extension}`
+    files[fileName] = bytes
+    return fileName
+  }
+
+  for (const [
+    i,
+    {photo, input, output, variants, frames, stages, versions}
+  ] of entries.entries()) {
+    const prefix = `${String(i + 1).padStart(3, '0')}-${photo.mode}`
+    const record = {
+      id: photo.id,
+      mode: photo.mode,
+      prompt: photo.prompt,
+      promptValues: photo.promptValues || undefined,
+      createdAt: photo.createdAt
+        ? new Date(photo.createdAt).toISOString()
+        : undefined,
+      files: {input: await addFile(`${prefix}-input`, input)}
+    }
+
+    if (output) {
+      record.files.output = await addFile(`${prefix}-output`, output)
+    }
+
+    if (variants) {
+      record.variants = []
+      for (const variant of photo.variants) {
+        record.variants.push({
+          mode: variant.mode,
+          prompt: variant.prompt,
+          error: variant.error || undefined,
+          file: variants[variant.mode]
+            ? await addFile(`${prefix}-${variant.mode}`, variants[variant.mode])
+            : undefined
+        })
+      }
+    }
+
+    if (frames) {
+      record.files.frames = []
+      for (const [j, frame] of frames.entries()) {
+        record.files.frames.push(
+          await addFile(`${prefix}-frame-${j + 1}`, frame)
+        )
+      }
+    }
+
+    if (stages && photo.steps) {
+      record.stages = []
+      for (const [j, step] of photo.steps.entries()) {
+        record.stages.push({
+          ...step,
+          file: stages[j]
+            ? await addFile(`${prefix}-stage-${j + 1}`, stages[j])
+            : undefined
+        })
+      }
+    }
+
+    // Refined photos list their whole edit tree; `output` is the selected one
+    if (versions && photo.versions) {
+      record.versions = []
+      for (const [j, version] of photo.versions.entries()) {
+        record.versions.push({
+          id: version.id,
+          parentId: version.parentId || undefined,
+          prompt: version.prompt || undefined,
+          selected: version.id === photo.versionId || undefined,
+          file: versions[version.id]
+            ? await addFile(`${prefix}-version-${j}`, versions[version.id])
+            : undefined
+        })
+      }
+    }
+
+    manifest.photos.push(record)
+  }
+
+  files['manifest.json'] = new TextEncoder().encode(
+    JSON.stringify(manifest, null, 2)
+  )
+
+  // Media are already compressed, so storing them is nearly as small and
+  // much faster.
+  return new Blob([zipSync(files, {level: 0})], {type: 'application/zip'})
+}
@@ -0,0 +1,179 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+// import {GIFEncoder, quantize, applyPalette} from 'gifenc'
+import {GIFEncoder, quantize, applyPalette} from 'https://unpkg.com/gifenc'
+import {loadImage, loadVideo, getVideoDuration} from './utils'
+
+const crossfadeFrames = 4
+const crossfadeDelay = 60
+const minFrameDelay = 20
+
+export const gifSizes = {
+  '1:1': [512, 512],
+  '4:3': [512, 384],
+  '3:4': [384, 512],
+  '16:9': [640, 360],
+  '2:1': [640, 320]
+}
+
+// Empty or zero delay fields would otherwise give frames that flash by
+const clampDelay = delay => Math.max(Number(delay) || 0, minFrameDelay)
+
+const seek = (video, time) =>
+  new Promise(resolve => {
+    video.onseeked = resolve
+    video.currentTime = time
+  })
+
+// Either fills the frame (cover) or letterboxes the whole source (contain),
+// then draws the optional branding overlay on top
+const renderFrame = (ctx, source, sourceWidth, sourceHeight, fit, overlay) => {
+  const {width, height} = ctx.canvas
+  const scale = (fit === 'cover' ? Math.max : Math.min)(
+    width / sourceWidth,
+    height / sourceHeight
+  )
+  const drawWidth = sourceWidth * scale
+  const drawHeight = sourceHeight * scale
+
+  ctx.fillStyle = '#000'
+  ctx.fillRect(0, 0, width, height)
+  ctx.drawImage(
+    source,
+    (width - drawWidth) / 2,
+    (height - drawHeight) / 2,
+    drawWidth,
+    drawHeight
+  )
+  overlay?.(ctx)
+
+  return ctx.getImageData(0, 0, width, height)
+}
+
+const blendFrames = (from, to, amount) => {
+  const result = new ImageData(from.width, from.height)
+  for (let i = 0; i < from.data.length; i++) {
+    result.data[i] = from.data[i] * (1 - amount) + to.data[i] * amount
+  }
+  return result
+}
+
+// Samples evenly spaced frames from a video output
+const renderVideoFrames = async (ctx, src, count, fit, overlay) => {
+  const video = await loadVideo(src)
+  const duration = await getVideoDuration(video)
+  const {videoWidth, videoHeight} = video
+  const frames = []
+
+  for (let i = 0; i < count; i++) {
+    await seek(video, (duration * (i + 0.5)) / count)
+    frames.push(renderFrame(ctx, video, videoWidth, videoHeight, fit, overlay))
+  }
+
+  return {
+    frames,
+    delay: Math.max(Math.round((duration * 1000) / count), minFrameDelay)
+  }
+}
+
+const countFrames = ({isVideo}, {crossfade, videoFrames}) =>
+  1 + (crossfade ? crossfadeFrames : 0) + (isVideo ? videoFrames : 1)
+
+/**
+ * Encodes input/output pairs into a GIF. Each item is
+ * `{input, output, isVideo, outputDelay}`; `overlay` draws branding onto every
+ * frame and `onProgress` receives a 0–1 value after every written frame.
+ */
+export const buildGif = async ({
+  items,
+  aspect,
+  fit,
+  inputDelay,
+  crossfade,
+  videoFrames,
+  overlay,
+  onProgress
+}) => {
+  const [width, height] = gifSizes[aspect] || gifSizes['1:1']
+  const frameCount = Math.max(Math.round(videoFrames) || 1, 1)
+  const canvas = document.createElement('canvas')
+  const ctx = canvas.getContext('2d', {willReadFrequently: true})
+  canvas.width = width
+  canvas.height = height
+
+  const gif = new GIFEncoder()
+  const total = items.reduce(
+    (sum, item) =>
+      sum + countFrames(item, {crossfade, videoFrames: frameCount}),
+    0
+  )
+  let written = 0
+
+  const writeFrame = async (frame, delay) => {
+    const palette = quantize(frame.data, 256)
+    const indexed = applyPalette(frame.data, palette)
+    gif.writeFrame(indexed, width, height, {palette, delay})
+
+    onProgress?.(++written / total)
+    // Let the progress indicator repaint between frames
+    await new Promise(resolve => setTimeout(resolve))
+  }
+
+  for (const {input, output, isVideo, outputDelay} of items) {
+    const inputImg = await loadImage(input)
+    const inputFrame = renderFrame(
+      ctx,
+      inputImg,
+      inputImg.width,
+      inputImg.height,
+      fit,
+      overlay
+    )
+
+    let outputFrames
+    let frameDelay = clampDelay(outputDelay)
+    if (isVideo) {
+      const video = await renderVideoFrames(
+        ctx,
+        output,
+        frameCount,
+        fit,
+        overlay
+      )
+      outputFrames = video.frames
+      frameDelay = video.delay
+    } else {
+      const outputImg = await loadImage(output)
+      outputFrames = [
+        renderFrame(
+          ctx,
+          outputImg,
+          outputImg.width,
+          outputImg.height,
+          fit,
+          overlay
+        )
+      ]
+    }
+
+    await writeFrame(inputFrame, clampDelay(inputDelay))
+
+    if (crossfade) {
+      for (let i = 1; i <= crossfadeFrames; i++) {
+        await writeFrame(
+          blendFrames(inputFrame, outputFrames[0], i / (crossfadeFrames + 1)),
+          crossfadeDelay
+        )
+      }
+    }
+
+    for (const frame of outputFrames) {
+      await writeFrame(frame, frameDelay)
+    }
+  }
+
+  gif.finish()
+  return new Blob([gif.buffer], {type: 'image/gif'})
+}
@@ -2,7 +2,179 @@
  * @license
  * SPDX-License-Identifier: Apache-2.0
 */
-export default {
+import * as db from './db'
+
+const imageData = {
   inputs: {},
-  outputs: {}
+  outputs: {},
+  // Raw burst captures behind a strip's composited input
+  frames: {},
+  // Per-mode outputs of multi-mode photos
+  variants: {},
+  // Intermediate outputs of pipeline modes, one per step
+  stages: {},
+  // Every version of a refined photo, keyed by version id
+  versions: {},
+  // Extra images sent with the photo, keyed by mode and reference name
+  references: {},
+  // Every video a video mode returned when it was asked for several
+  candidates: {}
 }
+
+const warn = err => console.warn('Could not persist image data', err)
+
+export const setInput = (id, b64) => {
+  imageData.inputs[id] = b64
+  return db.put('inputs', id, b64).catch(warn)
+}
+
+export const setFrames = (id, frames) => {
+  imageData.frames[id] = frames
+  return db.put('frames', id, frames).catch(warn)
+}
+
+export const setVariants = (id, outputs) => {
+  imageData.variants[id] = outputs
+  return db.put('variants', id, outputs).catch(warn)
+}
+
+export const setStages = (id, stages) => {
+  imageData.stages[id] = stages
+  return db.put('stages', id, stages).catch(warn)
+}
+
+export const setVersions = (id, versions) => {
+  imageData.versions[id] = versions
+  return db.put('versions', id, versions).catch(warn)
+}
+
+export const setReferences = (id, references) => {
+  imageData.references[id] = references
+  return db.put('references', id, references).catch(warn)
+}
+
+const toStorable = async url =>
+  url.startsWith('blob:') ? await fetch(url).then(res => res.blob()) : url
+
+const fromStorable = value =>
+  value instanceof Blob ? URL.createObjectURL(value) : value
+
+export const setCandidates = async (id, urls) => {
+  imageData.candidates[id] = urls
+
+  try {
+    await db.put('candidates', id, await Promise.all(urls.map(toStorable)))
+  } catch (err) {
+    warn(err)
+  }
+}
+
+// Drops candidates left over from an earlier run. The current output is
+// still on screen until it's replaced, so its URL isn't revoked here.
+export const clearCandidates = async id => {
+  const stale = (imageData.candidates[id] || []).filter(
+    url => url.startsWith('blob:') && url !== imageData.outputs[id]
+  )
+  stale.forEach(url => URL.revokeObjectURL(url))
+  delete imageData.candidates[id]
+
+  try {
+    await db.remove('candidates', id)
+  } catch (err) {
+    warn(err)
+  }
+}
+
+// Video outputs are object URLs, so the underlying blob is what gets stored.
+export const setOutput = async (id, url) => {
+  imageData.outputs[id] = url
+
+  try {
+    await db.put('outputs', id, await toStorable(url))
+  } catch (err) {
+    warn(err)
+  }
+}
+
+export const removeImages = id => {
+  const urls = [imageData.outputs[id], ...(imageData.candidates[id] || [])]
+  urls
+    .filter(url => url?.startsWith('blob:'))
+    .forEach(url => URL.revokeObjectURL(url))
+
+  delete imageData.inputs[id]
+  delete imageData.outputs[id]
+  delete imageData.frames[id]
+  delete imageData.variants[id]
+  delete imageData.stages[id]
+  delete imageData.versions[id]
+  delete imageData.references[id]
+  delete imageData.candidates[id]
+
+  return Promise.all([
+    db.remove('inputs', id),
+    db.remove('outputs', id),
+    db.remove('frames', id),
+    db.remove('variants', id),
+    db.remove('stages', id),
+    db.remove('versions', id),
+    db.remove('references', id),
+    db.remove('candidates', id)
+  ]).catch(warn)
+}
+
+export const restoreImages = async () => {
+  const [
+    inputs,
+    outputs,
+    frames,
+    variants,
+    stages,
+    versions,
+    references,
+    candidates
+  ] = await Promise.all([
+    db.entries('inputs'),
+    db.entries('outputs'),
+    db.entries('frames'),
+    db.entries('variants'),
+    db.entries('stages'),
+    db.entries('versions'),
+    db.entries('references'),
+    db.entries('candidates')
+  ])
+
+  inputs.forEach(([id, b64]) => {
+    imageData.inputs[id] = b64
+  })
+
+  frames.forEach(([id, value]) => {
+    imageData.frames[id] = value
+  })
+
+  variants.forEach(([id, value]) => {
+    imageData.variants[id] = value
+  })
+
+  stages.forEach(([id, value]) => {
+    imageData.stages[id] = value
+  })
+
+  versions.forEach(([id, value]) => {
+    imageData.versions[id] = value
+  })
+
+  references.forEach(([id, value]) => {
+    imageData.references[id] = value
+  })
+
+  candidates.forEach(([id, values]) => {
+    imageData.candidates[id] = values.map(fromStorable)
+  })
+
+  outputs.forEach(([id, value]) => {
+    imageData.outputs[id] = fromStorable(value)
+  })
+}
+
+export default imageData
@@ -0,0 +1,105 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+// Turns uploaded, dropped or pasted files into booth inputs: upright, no
+// larger than a camera frame needs to be and re-encoded as jpeg, so a 12MP
+// phone photo doesn't go to the model as-is.
+export const maxFileSize = 30 * 1024 * 1024
+export const maxInputSize = 1536
+export const acceptedTypes = 'image/*,.heic,.heif'
+
+const heicPattern = /\.(heic|heif)$|^image\/hei[cf]/i
+
+const isImageFile = file =>
+  file.type.startsWith('image/') || heicPattern.test(file.name)
+
+const isHeic = file =>
+  heicPattern.test(file.name) || heicPattern.test(file.type)
+
+// createImageBitmap applies the EXIF orientation when asked; older browsers
+// without the option already do so for <img>.
+const decodeNative = async file => {
+  try {
+    return await createImageBitmap(file, {imageOrientation: 'from-image'})
+  } catch {
+    const url = URL.createObjectURL(file)
+    try {
+      const img = new Image()
+      img.src = url
+      await img.decode()
+      return img
+    } finally {
+      URL.revokeObjectURL(url)
+    }
+  }
+}
+
+// Only Safari decodes HEIC natively. Elsewhere it's converted in a worker by
+// heic2any, which is only downloaded the first time it's needed.
+const decode = async file => {
+  try {
+    return await decodeNative(file)
+  } catch (err) {
+    if (!isHeic(file)) {
+      throw err
+    }
+
+    const {default: heic2any} = await import('heic2any')
+    const converted = await heic2any({blob: file, toType: 'image/jpeg'})
+    return decodeNative(Array.isArray(converted) ? converted[0] : converted)
+  }
+}
+
+export const ingestFile = async file => {
+  if (!isImageFile(file)) {
+    throw new Error(`${file.name} isn't an image`)
+  }
+
+  if (file.size > maxFileSize) {
+    throw new Error(
+      `${file.name} is over ${Math.round(maxFileSize / 1024 / 1024)}MB`
+    )
+  }
+
+  let image
+  try {
+    image = await decode(file)
+  } catch {
+    throw new Error(
+      isHeic(file)
+        ? `${file.name} is a HEIC photo this browser can't open; share it as JPEG instead`
+        : `${file.name} couldn't be read`
+    )
+  }
+
+  const {width, height} = image
+  const scale = Math.min(1, maxInputSize / Math.max(width, height))
+  const canvas = document.createElement('canvas')
+  canvas.width = Math.round(width * scale)
+  canvas.height = Math.round(height * scale)
+  const ctx = canvas.getContext('2d')
+  // jpeg has no alpha, so transparent areas would otherwise turn black
+  ctx.fillStyle = '#fff'
+  ctx.fillRect(0, 0, canvas.width, canvas.height)
+  ctx.drawImage(image, 0, 0, canvas.width, canvas.height)
+  image.close?.()
+
+  return canvas.toDataURL('image/jpeg', 0.92)
+}
+
+// Files that fail are reported by name instead of stopping the batch
+export const ingestFiles = async files => {
+  const images = []
+  const errors = []
+
+  for (const file of files) {
+    try {
+      images.push(await ingestFile(file))
+    } catch (err) {
+      errors.push(err.message)
+    }
+  }
+
+  return {images, errors}
+}
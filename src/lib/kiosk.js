@@ -0,0 +1,38 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+// Settings for running the booth unattended. The PIN only keeps guests out of
+// the operator panel; it is stored in plain text on this machine.
+import {loadSettings, saveSettings} from './settings'
+
+const storageKey = 'gembooth-kiosk'
+
+// Seconds. Anything shorter would end sessions mid-shot, and 0 would end them
+// immediately.
+export const minKioskTimeout = 15
+
+export const defaultKiosk = {
+  enabled: false,
+  pin: '',
+  timeout: 90,
+  // Mode ids guests can pick, including 'custom'; null allows every mode
+  allowedModes: null,
+  attractText: 'Tap anywhere to start'
+}
+
+export const clampTimeout = timeout =>
+  Number.isFinite(timeout)
+    ? Math.max(minKioskTimeout, timeout)
+    : defaultKiosk.timeout
+
+export const loadKiosk = () => {
+  const kiosk = loadSettings(storageKey, defaultKiosk, 'kiosk settings')
+  return {...kiosk, timeout: clampTimeout(kiosk.timeout)}
+}
+
+export const saveKiosk = kiosk =>
+  saveSettings(storageKey, kiosk, 'kiosk settings')
+
+export const isModeAllowed = (kiosk, mode) =>
+  !kiosk.enabled || !kiosk.allowedModes || kiosk.allowedModes.includes(mode)
@@ -2,75 +2,85 @@
  * @license
  * SPDX-License-Identifier: Apache-2.0
 */
-import {GoogleGenAI, Modality} from '@google/genai'
-import pLimit from 'p-limit'
+import config from './config'
+import providers from './providers'
+import {
+  abortError,
+  generationError,
+  getErrorReason,
+  isAbortError
+} from './errors'
+import {enqueueJob, reportRateLimit, waitForBackoff} from './queue'
+import {sleep} from './utils'
 
 const timeoutMs = 123_333
 const maxRetries = 5
 const baseDelay = 1_233
-const ai = new GoogleGenAI({apiKey: process.env.API_KEY})
 
-const safetySettings = [
-  'HARM_CATEGORY_HATE_SPEECH',
-  'HARM_CATEGORY_SEXUALLY_EXPLICIT',
-  'HARM_CATEGORY_DANGEROUS_CONTENT',
-  'HARM_CATEGORY_HARASSMENT'
-].map(category => ({category, threshold: 'BLOCK_NONE'}))
+const defaultProvider = 'proxy'
 
-const generateImageFn = async ({model, prompt, inputFile, signal}) => {
-  for (let attempt = 0; attempt < maxRetries; attempt++) {
-    try {
-      const timeoutPromise = new Promise((_, reject) =>
-        setTimeout(() => reject(new Error('timeout')), timeoutMs)
-      )
+// A mistyped `?provider=` or PROVIDER shouldn't blank the booth
+const getProvider = name => {
+  if (Object.hasOwn(providers, name)) {
+    return providers[name]
+  }
 
-      const parts = [{text: prompt}]
-      if (inputFile) {
-        const [meta, data] = inputFile.split(',')
-        const mimeType = (meta.match(/:(.*?);/) || [])[1] || 'image/jpeg'
-        parts.push({
-          inlineData: {
-            data,
-            mimeType
-          }
-        })
-      }
+  console.warn(`Unknown generation provider ${name}, using ${defaultProvider}`)
+  return providers[defaultProvider]
+}
 
-      const modelPromise = ai.models.generateContent(
-        {
-          model,
-          config: {responseModalities: [Modality.TEXT, Modality.IMAGE]},
-          contents: [{role: 'user', parts}],
-          safetySettings
-        },
-        {signal}
-      )
+const provider = getProvider(config.provider)
 
-      const response = await Promise.race([modelPromise, timeoutPromise])
+export const {capabilities} = provider
 
-      if (!response.candidates || response.candidates.length === 0) {
-        throw new Error('No candidates in response')
-      }
+// The safety profile every image request is sent with
+let safetyProfile = 'default'
+
+export const setSafetyProfile = profile => {
+  safetyProfile = profile
+}
 
-      const inlineDataPart = response.candidates[0].content.parts.find(
-        p => p.inlineData
+// `references` are extra images sent after `inputFile`, in order
+const generateImageFn = async ({prompt, inputFile, references, signal}) => {
+  for (let attempt = 0; attempt < maxRetries; attempt++) {
+    try {
+      const timeoutPromise = new Promise((_, reject) =>
+        setTimeout(
+          () => reject(generationError('timeout', 'Request timed out')),
+          timeoutMs
+        )
       )
-      if (!inlineDataPart) {
-        throw new Error('No inline data found in response')
-      }
 
-      return 'data:image/png;base64,' + inlineDataPart.inlineData.data
+      return await Promise.race([
+        provider.generateImage({
+          prompt,
+          inputFile,
+          references,
+          safety: safetyProfile,
+          signal
+        }),
+        timeoutPromise
+      ])
     } catch (error) {
-      if (signal?.aborted || error.name === 'AbortError') {
-        return
+      if (signal?.aborted || isAbortError(error)) {
+        throw abortError()
       }
 
-      if (attempt === maxRetries - 1) {
+      // Retrying won't get past a safety block
+      if (attempt === maxRetries - 1 || error.reason === 'safety') {
         throw error
       }
 
+      // A rate limit pauses the whole queue, not just this job
+      if (getErrorReason(error) === 'quota') {
+        reportRateLimit()
+        console.warn(`Attempt ${attempt + 1} was rate limited, backing off...`)
+        await waitForBackoff(signal)
+        continue
+      }
+
       const delay = baseDelay * 2 ** attempt
-      await new Promise(res => setTimeout(res, delay))
+      await sleep(delay, signal)
       console.warn(
         `Attempt ${attempt + 1} failed, retrying after ${delay}ms...`
       )
@@ -78,42 +88,23 @@ const generateImageFn = async ({model, prompt, inputFile, signal}) => {
   }
 }
 
-const generateVideoFn = async ({prompt, inputFile, signal}) => {
-  const [meta, data] = inputFile.split(',')
-  const mimeType = (meta.match(/:(.*?);/) || [])[1] || 'image/jpeg'
-
-  let operation = await ai.models.generateVideos({
-    model: 'veo-2.0-generate-001',
-    prompt,
-    image: {
-      imageBytes: data,
-      mimeType
-    },
-    config: {
-      numberOfVideos: 1
+// Resolves to a URL per candidate video
+const generateVideoFn = async args => {
+  try {
+    return await provider.generateVideo(args)
+  } catch (error) {
+    if (getErrorReason(error) === 'quota') {
+      reportRateLimit()
     }
-  })
-
-  while (!operation.done) {
-    if (signal?.aborted) {
-      throw new Error('Aborted')
-    }
-    await new Promise(resolve => setTimeout(resolve, 10000))
-    operation = await ai.operations.getVideosOperation({operation})
+    throw error
   }
-
-  const downloadLink = operation.response?.generatedVideos?.[0]?.video?.uri
-  if (!downloadLink) {
-    throw new Error('Video generation failed, no download link found.')
-  }
-
-  const response = await fetch(`${downloadLink}&key=${process.env.API_KEY}`)
-  const videoBlob = await response.blob()
-  return URL.createObjectURL(videoBlob)
 }
 
-const imageLimiter = pLimit(2)
-const videoLimiter = pLimit(1)
+// `job` describes the request for the queue dashboard
+const enqueue =
+  (kind, fn) =>
+  ({job, ...args}) =>
+    enqueueJob({kind, info: job, signal: args.signal, run: () => fn(args)})
 
-export const generateImage = args => imageLimiter(() => generateImageFn(args))
-export const generateVideo = args => videoLimiter(() => generateVideoFn(args))
+export const generateImage = enqueue('image', generateImageFn)
+export const generateVideo = enqueue('video', generateVideoFn)
@@ -0,0 +1,202 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+// The editable set of modes shown in the booth. Built-in modes from modes.js
+// seed the library; edits are kept in localStorage.
+import defaultModes from './modes'
+import {getEffect} from './effects'
+import {parseSteps} from './pipeline'
+import {referenceSources} from './references'
+import {parseVideoOptions} from './video'
+
+const storageKey = 'gembooth-modes'
+const packVersion = 1
+
+export const getDefaultLibrary = () => ({
+  modes: structuredClone(defaultModes),
+  modeOrder: Object.keys(defaultModes)
+})
+
+// Built-in modes added since the library was saved are appended to it.
+// `knownDefaults` records the built-ins each save has seen, so ones the
+// operator deleted stay deleted, and an existing mode is never replaced.
+const addNewDefaults = ({modes, modeOrder, knownDefaults = []}) => {
+  Object.keys(defaultModes)
+    .filter(id => !modes[id] && !knownDefaults.includes(id))
+    .forEach(id => {
+      modes[id] = structuredClone(defaultModes[id])
+      if (!modeOrder.includes(id)) {
+        modeOrder.push(id)
+      }
+    })
+}
+
+export const loadLibrary = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(storageKey))
+    if (saved?.modes && Array.isArray(saved.modeOrder)) {
+      // Local modes saved before effects had ids were named after theirs
+      Object.entries(saved.modes).forEach(([id, mode]) => {
+        if (mode.isLocal && !mode.effect) {
+          mode.effect = id
+        }
+      })
+      addNewDefaults(saved)
+      return {
+        modes: saved.modes,
+        modeOrder: saved.modeOrder.filter(id => saved.modes[id])
+      }
+    }
+  } catch (err) {
+    console.warn('Could not load mode library', err)
+  }
+
+  return getDefaultLibrary()
+}
+
+export const saveLibrary = ({modes, modeOrder}) => {
+  try {
+    localStorage.setItem(
+      storageKey,
+      JSON.stringify({
+        modes,
+        modeOrder,
+        knownDefaults: Object.keys(defaultModes)
+      })
+    )
+  } catch (err) {
+    console.warn('Could not save mode library', err)
+  }
+}
+
+export const createModePack = ({modes, modeOrder}, name) => ({
+  version: packVersion,
+  name,
+  modes: modeOrder.map(id => {
+    const {
+      name,
+      emoji,
+      prompt,
+      variables,
+      references,
+      isVideo,
+      videoOptions,
+      effect,
+      steps,
+      hidden
+    } = modes[id]
+    return {
+      id,
+      name,
+      emoji,
+      prompt,
+      variables,
+      references,
+      isVideo: !!isVideo,
+      videoOptions,
+      effect,
+      steps,
+      hidden: !!hidden
+    }
+  })
+})
+
+const parseVariables = variables => {
+  if (!variables || typeof variables !== 'object') {
+    return undefined
+  }
+
+  // Keys are left out rather than set to undefined, so getModeVariables can
+  // fill in its own label and default
+  return Object.fromEntries(
+    Object.entries(variables).map(([name, variable]) => {
+      const {label, choices, ...rest} =
+        variable && typeof variable === 'object' ? variable : {}
+      return [
+        name,
+        {
+          ...(typeof label === 'string' && {label}),
+          ...(rest.default != null && {default: String(rest.default)}),
+          ...(Array.isArray(choices) && {choices: choices.map(String)})
+        }
+      ]
+    })
+  )
+}
+
+// Stock images aren't part of a pack, only the slots that need them
+const parseReferences = references => {
+  if (!references || typeof references !== 'object') {
+    return undefined
+  }
+
+  return Object.fromEntries(
+    Object.entries(references).map(([name, reference]) => {
+      const {label, source} =
+        reference && typeof reference === 'object' ? reference : {}
+      return [
+        name,
+        {
+          ...(typeof label === 'string' && {label}),
+          source: referenceSources.includes(source) ? source : 'stock'
+        }
+      ]
+    })
+  )
+}
+
+// 'custom' is the free-text mode, and the rest would clobber Object.prototype
+// on the modes map
+const isReservedId = id => id === 'custom' || id in Object.prototype
+
+const parseModeId = id => {
+  const cleaned = String(id || '').replace(/[^\w-]/g, '_')
+  return cleaned && !isReservedId(cleaned) ? cleaned : crypto.randomUUID()
+}
+
+// Validates an imported pack and normalizes its modes. Local modes and
+// pipeline steps can only reference effects that exist in this app, by id.
+export const parseModePack = json => {
+  const pack = typeof json === 'string' ? JSON.parse(json) : json
+
+  if (!Array.isArray(pack?.modes)) {
+    throw new Error('Not a mode pack: missing "modes" list')
+  }
+
+  return pack.modes.map((mode, i) => {
+    if (typeof mode?.name !== 'string' || !mode.name.trim()) {
+      throw new Error(`Mode ${i + 1} has no name`)
+    }
+    if (mode.effect != null && !getEffect(mode.effect)) {
+      throw new Error(
+        `Mode "${mode.name}" uses unknown effect "${mode.effect}"`
+      )
+    }
+    const steps = parseSteps(mode.steps, mode.name)
+    if (
+      !mode.effect &&
+      !steps &&
+      (typeof mode.prompt !== 'string' || !mode.prompt.trim())
+    ) {
+      throw new Error(`Mode "${mode.name}" has no prompt`)
+    }
+
+    const isVideo = !mode.effect && !steps && !!mode.isVideo
+
+    return {
+      id: parseModeId(mode.id),
+      name: mode.name.trim(),
+      emoji: typeof mode.emoji === 'string' && mode.emoji ? mode.emoji : '✨',
+      prompt: typeof mode.prompt === 'string' ? mode.prompt.trim() : '',
+      variables: parseVariables(mode.variables),
+      references: parseReferences(mode.references),
+      steps,
+      isVideo,
+      videoOptions: isVideo ? parseVideoOptions(mode.videoOptions) : undefined,
+      isLocal: mode.effect ? true : undefined,
+      effect: mode.effect || undefined,
+      hidden: !!mode.hidden
+    }
+  })
+}
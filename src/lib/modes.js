@@ -7,7 +7,64 @@ export default {
     name: 'Mirror',
     emoji: '🪞',
     prompt: 'A mirrored image, created locally.',
-    isLocal: true
+    isLocal: true,
+    effect: 'mirror'
+  },
+
+  kaleidoscope: {
+    name: 'Kaleidoscope',
+    emoji: '🔮',
+    prompt: 'A kaleidoscope pattern, created locally.',
+    isLocal: true,
+    effect: 'kaleidoscope'
+  },
+
+  quadMirror: {
+    name: 'Quad Mirror',
+    emoji: '🪟',
+    prompt: 'A four-way mirrored image, created locally.',
+    isLocal: true,
+    effect: 'quadMirror'
+  },
+
+  halftone: {
+    name: 'Halftone',
+    emoji: '🟠',
+    prompt: 'A halftone print, created locally.',
+    isLocal: true,
+    effect: 'halftone'
+  },
+
+  pixelate: {
+    name: 'Pixel Art',
+    emoji: '👾',
+    prompt: 'A pixelated image, created locally.',
+    isLocal: true,
+    effect: 'pixelate'
+  },
+
+  duotone: {
+    name: 'Duotone',
+    emoji: '🌗',
+    prompt: 'A two-color image, created locally.',
+    isLocal: true,
+    effect: 'duotone'
+  },
+
+  glitch: {
+    name: 'Glitch',
+    emoji: '📺',
+    prompt: 'A glitched image, created locally.',
+    isLocal: true,
+    effect: 'glitch'
+  },
+
+  sketch: {
+    name: 'Sketch',
+    emoji: '🖍️',
+    prompt: 'A pencil sketch, created locally.',
+    isLocal: true,
+    effect: 'sketch'
   },
 
   renaissance: {
@@ -16,12 +73,86 @@ export default {
     prompt: 'Make the person in the photo look like a Renaissance painting.'
   },
 
+  diptych: {
+    name: 'Diptych',
+    emoji: '🖼️',
+    steps: [
+      {effect: 'cropFace'},
+      {
+        prompt: 'Make the person in the photo look like a Renaissance painting.'
+      },
+      {effect: 'frame'},
+      {effect: 'mirror'}
+    ]
+  },
+
+  backdrop: {
+    name: 'Backdrop',
+    emoji: '🏞️',
+    prompt:
+      'Place the person from the first image in front of the backdrop shown in the second image. Match the lighting, scale and perspective so it looks like a real photo taken there.',
+    references: {
+      backdrop: {label: 'Event backdrop', source: 'stock'}
+    }
+  },
+
+  dressUp: {
+    name: 'Dress Up',
+    emoji: '🦸',
+    prompt:
+      'Dress the person from the first image in the costume, or give them the prop, shown in the second image. Keep their face, pose and background the same.',
+    references: {
+      costume: {label: 'Costume or prop', source: 'stock'}
+    }
+  },
+
+  groupMerge: {
+    name: 'Group Merge',
+    emoji: '👯',
+    prompt:
+      'Combine the people from both images into a single natural group photo, standing together in the setting of the first image.',
+    references: {
+      guest: {label: 'Second guest', source: 'gallery'}
+    }
+  },
+
   animate: {
     name: 'Animate',
     emoji: '🎬',
     prompt:
       'Make this photo come to life. Animate the person subtly, as if in a living portrait.',
-    isVideo: true
+    isVideo: true,
+    videoOptions: {
+      aspectRatio: '16:9',
+      durationSeconds: 5,
+      negativePrompt: 'distorted faces, extra limbs, text, watermarks'
+    }
+  },
+
+  dance: {
+    name: 'Dance',
+    emoji: '🕺',
+    prompt:
+      'The person in the photo breaks into a fun, energetic dance move while the camera stays still.',
+    isVideo: true,
+    videoOptions: {
+      aspectRatio: '9:16',
+      durationSeconds: 6,
+      negativePrompt: 'distorted faces, extra limbs, text, watermarks',
+      numberOfVideos: 2
+    }
+  },
+
+  cinematic: {
+    name: 'Cinematic',
+    emoji: '🎥',
+    prompt:
+      'A slow cinematic push-in on the person in the photo, with dramatic film lighting and drifting dust in the air.',
+    isVideo: true,
+    videoOptions: {
+      aspectRatio: '16:9',
+      durationSeconds: 8
+    }
   },
 
   '5dmarkiv': {
@@ -97,5 +228,35 @@ export default {
     name: 'Old',
     emoji: '👵🏻',
     prompt: 'Make the person in the photo look extremely old.'
+  },
+
+  timeTravel: {
+    name: 'Time Travel',
+    emoji: '⏳',
+    prompt:
+      'Make the person in the photo look like they were photographed in the {{era}}, with period-appropriate clothing, hairstyle, background and photo quality.',
+    variables: {
+      era: {
+        default: '1920s',
+        choices: ['1890s', '1920s', '1950s', '1970s', '1990s', 'year 2300']
+      }
+    }
+  },
+
+  poster: {
+    name: 'Movie Poster',
+    emoji: '🎞️',
+    prompt:
+      'Turn this photo into a {{genre}} movie poster starring the person in the photo. Put the title "{{guestName}}" in large stylized lettering.',
+    variables: {
+      genre: {
+        default: 'action',
+        choices: ['action', 'horror', 'romantic comedy', 'sci-fi', 'western']
+      },
+      guestName: {
+        label: 'Your name',
+        default: 'The Guest'
+      }
+    }
   }
 }
\ No newline at end of file
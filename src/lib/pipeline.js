@@ -0,0 +1,73 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+// A pipeline mode lists `steps` that run in order, each one taking the
+// previous step's output. A step is either a local effect (`{effect}`) or a
+// model call (`{prompt}`).
+import {getEffect, applyEffect} from './effects'
+import {generateImage} from './llm'
+import {abortError} from './errors'
+
+export const getStepLabel = ({effect, prompt}) =>
+  effect ? `🪄 ${getEffect(effect)?.name || effect}` : `✨ ${prompt}`
+
+// The effects a mode applies when it needs no model call at all, else null
+export const getLocalSteps = ({isLocal, effect, effectOptions, steps} = {}) => {
+  if (isLocal) {
+    return [{effect, effectOptions}]
+  }
+
+  return steps?.every(step => step.effect) ? steps : null
+}
+
+// Returns the output of every step; the last one is the photo's result.
+// `job` labels the model steps in the queue.
+export const runPipeline = async (steps, inputFile, signal, job) => {
+  const stages = []
+  let current = inputFile
+
+  for (const [i, step] of steps.entries()) {
+    current = step.effect
+      ? await applyEffect(step.effect, current, step.effectOptions)
+      : await generateImage({
+          prompt: step.prompt,
+          inputFile: current,
+          signal,
+          job: {...job, step: i}
+        })
+
+    if (signal.aborted) {
+      throw abortError()
+    }
+    if (!current) {
+      throw new Error(`Pipeline step "${getStepLabel(step)}" had no result`)
+    }
+
+    stages.push(current)
+  }
+
+  return stages
+}
+
+export const parseSteps = (steps, modeName) => {
+  if (steps == null) {
+    return undefined
+  }
+  if (!Array.isArray(steps) || !steps.length) {
+    throw new Error(`Mode "${modeName}" has an empty pipeline`)
+  }
+
+  return steps.map(({effect, effectOptions, prompt} = {}, i) => {
+    if (effect) {
+      if (!getEffect(effect)) {
+        throw new Error(`Mode "${modeName}" uses unknown effect "${effect}"`)
+      }
+      return {effect, effectOptions}
+    }
+    if (typeof prompt !== 'string' || !prompt.trim()) {
+      throw new Error(`Step ${i + 1} of mode "${modeName}" has no prompt`)
+    }
+    return {prompt: prompt.trim()}
+  })
+}
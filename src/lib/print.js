@@ -0,0 +1,172 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+// Renders photos onto print-sized pages and prints them from a hidden iframe,
+// so only the pages end up on paper. Sizes are in inches.
+import {loadImage} from './utils'
+
+const dpi = 300
+const gutter = 0.1
+const cropMarkLength = 0.12
+
+export const printLayouts = {
+  single: {name: '4×6 single', width: 4, height: 6, columns: 1, rows: 1},
+  strip: {name: '2×6 strip', width: 2, height: 6, columns: 1, rows: 3},
+  twoUp: {name: '2-up (6×4)', width: 6, height: 4, columns: 2, rows: 1},
+  stickers: {
+    name: 'Sticker sheet',
+    width: 4,
+    height: 6,
+    columns: 2,
+    rows: 3,
+    shape: 'circle'
+  }
+}
+
+export const getPageSize = ({layout, bleed}) => {
+  const {width, height} = printLayouts[layout]
+  return {width: width + bleed * 2, height: height + bleed * 2}
+}
+
+const drawCover = (ctx, img, x, y, width, height) => {
+  const scale = Math.max(width / img.width, height / img.height)
+  const drawWidth = img.width * scale
+  const drawHeight = img.height * scale
+
+  ctx.save()
+  ctx.beginPath()
+  ctx.rect(x, y, width, height)
+  ctx.clip()
+  ctx.drawImage(
+    img,
+    x + (width - drawWidth) / 2,
+    y + (height - drawHeight) / 2,
+    drawWidth,
+    drawHeight
+  )
+  ctx.restore()
+}
+
+// Short lines in the bleed area that show where to trim
+const drawCropMarks = (ctx, bleed, width, height) => {
+  const length = Math.min(cropMarkLength, bleed) * dpi
+  const xEdges = [bleed * dpi, (bleed + width) * dpi]
+  const yEdges = [bleed * dpi, (bleed + height) * dpi]
+  const xEnds = [0, (width + bleed * 2) * dpi]
+  const yEnds = [0, (height + bleed * 2) * dpi]
+
+  ctx.strokeStyle = '#000'
+  ctx.lineWidth = 1
+  ctx.beginPath()
+  // Vertical marks above and below each trim edge
+  xEdges.forEach(x =>
+    yEnds.forEach(y => {
+      ctx.moveTo(x, y)
+      ctx.lineTo(x, y + (y ? -length : length))
+    })
+  )
+  // Horizontal marks left and right of each trim edge
+  yEdges.forEach(y =>
+    xEnds.forEach(x => {
+      ctx.moveTo(x, y)
+      ctx.lineTo(x + (x ? -length : length), y)
+    })
+  )
+  ctx.stroke()
+}
+
+/**
+ * Lays `src` out on one page, repeated in every slot of the layout. With no
+ * margin the photos run into the bleed so trimming leaves no white edge.
+ */
+export const renderPage = async (src, {layout, margin, bleed}) => {
+  const img = await loadImage(src)
+  const {columns, rows, shape} = printLayouts[layout]
+  const page = getPageSize({layout, bleed})
+  const canvas = document.createElement('canvas')
+  const ctx = canvas.getContext('2d')
+  canvas.width = Math.round(page.width * dpi)
+  canvas.height = Math.round(page.height * dpi)
+
+  ctx.fillStyle = '#fff'
+  ctx.fillRect(0, 0, canvas.width, canvas.height)
+
+  const inset = margin ? bleed + margin : 0
+  const slotWidth = (page.width - inset * 2 - gutter * (columns - 1)) / columns
+  const slotHeight = (page.height - inset * 2 - gutter * (rows - 1)) / rows
+
+  for (let row = 0; row < rows; row++) {
+    for (let column = 0; column < columns; column++) {
+      const x = (inset + column * (slotWidth + gutter)) * dpi
+      const y = (inset + row * (slotHeight + gutter)) * dpi
+
+      if (shape === 'circle') {
+        const size = Math.min(slotWidth, slotHeight) * dpi
+        const cx = x + (slotWidth * dpi) / 2
+        const cy = y + (slotHeight * dpi) / 2
+
+        ctx.save()
+        ctx.beginPath()
+        ctx.arc(cx, cy, size / 2, 0, Math.PI * 2)
+        ctx.clip()
+        drawCover(ctx, img, cx - size / 2, cy - size / 2, size, size)
+        ctx.restore()
+
+        ctx.strokeStyle = '#ccc'
+        ctx.lineWidth = 2
+        ctx.beginPath()
+        ctx.arc(cx, cy, size / 2, 0, Math.PI * 2)
+        ctx.stroke()
+      } else {
+        drawCover(ctx, img, x, y, slotWidth * dpi, slotHeight * dpi)
+      }
+    }
+  }
+
+  if (bleed) {
+    const {width, height} = printLayouts[layout]
+    drawCropMarks(ctx, bleed, width, height)
+  }
+
+  return canvas.toDataURL('image/jpeg', 0.95)
+}
+
+// Every page is printed at the exact page size, one per sheet
+export const printPages = async (pages, {width, height}) => {
+  const frame = document.createElement('iframe')
+  Object.assign(frame.style, {
+    position: 'fixed',
+    width: 0,
+    height: 0,
+    border: 0
+  })
+  document.body.append(frame)
+
+  const doc = frame.contentDocument
+  const style = doc.createElement('style')
+  style.textContent = `
+    @page { size: ${width}in ${height}in; margin: 0; }
+    body { margin: 0; }
+    img { display: block; width: ${width}in; height: ${height}in; }
+    img + img { break-before: page; }
+  `
+  doc.head.append(style)
+
+  try {
+    await Promise.all(
+      pages.map(src => {
+        const img = doc.createElement('img')
+        img.src = src
+        doc.body.append(img)
+        return img.decode()
+      })
+    )
+  } catch (err) {
+    frame.remove()
+    throw err
+  }
+
+  frame.contentWindow.addEventListener('afterprint', () => frame.remove())
+  frame.contentWindow.print()
+}
\ No newline at end of file
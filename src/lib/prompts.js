@@ -0,0 +1,41 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+// Prompt templates use `{{name}}` placeholders. A mode can describe each one
+// under `variables` with a label, default and list of choices; placeholders it
+// doesn't describe are treated as free text.
+const placeholder = /{{\s*(\w+)\s*}}/g
+
+const toLabel = name =>
+  name
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .replace(/^./, char => char.toUpperCase())
+
+export const getTemplateNames = template => [
+  ...new Set([...(template || '').matchAll(placeholder)].map(m => m[1]))
+]
+
+// Pipeline modes keep their prompts on the model steps
+export const getModePrompts = ({prompt, steps}) =>
+  steps ? steps.flatMap(step => step.prompt || []) : [prompt]
+
+export const getModeVariables = ({variables = {}, ...mode}) =>
+  getTemplateNames(getModePrompts(mode).join('\n')).map(name => {
+    const {label, choices, ...rest} = variables[name] || {}
+    return {
+      name,
+      label: label ?? toLabel(name),
+      default: rest.default ?? '',
+      choices: choices ?? null
+    }
+  })
+
+// A blank value falls back to the variable's default, then to nothing
+export const getVariableValue = (name, values = {}, variables = {}) =>
+  values[name]?.trim() || variables[name]?.default || ''
+
+export const resolvePrompt = (template, values = {}, variables = {}) =>
+  template.replace(placeholder, (_, name) =>
+    getVariableValue(name, values, variables)
+  )
@@ -0,0 +1,11 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+import proxy from './proxy'
+import mock from './mock'
+
+export default {
+  proxy,
+  mock
+}
@@ -0,0 +1,128 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+// Offline stand-in for a real model: the same prompt and input always produce
+// the same output, so the booth can be developed and demoed without a key.
+import config from '../config'
+import {sleep, loadImage} from '../utils'
+
+const videoDuration = 2_000
+
+// Safari records mp4 only
+const recordTypes = ['video/webm;codecs=vp8', 'video/webm', 'video/mp4']
+const recordType =
+  typeof MediaRecorder !== 'undefined'
+    ? recordTypes.find(type => MediaRecorder.isTypeSupported(type))
+    : undefined
+
+const filters = [
+  'sepia(1) contrast(1.1)',
+  'grayscale(1) contrast(1.4)',
+  'saturate(2.5) hue-rotate(40deg)',
+  'invert(1) hue-rotate(180deg)',
+  'contrast(1.6) saturate(0.6) brightness(1.1)',
+  'hue-rotate(200deg) saturate(1.8)'
+]
+
+const hash = str =>
+  [...str].reduce((acc, char) => (acc * 31 + char.charCodeAt(0)) | 0, 7)
+
+const getFilter = prompt => filters[Math.abs(hash(prompt)) % filters.length]
+
+const drawFiltered = (ctx, img, filter, zoom = 1) => {
+  const {width, height} = ctx.canvas
+  const w = width * zoom
+  const h = height * zoom
+
+  ctx.filter = filter
+  ctx.drawImage(img, (width - w) / 2, (height - h) / 2, w, h)
+  ctx.filter = 'none'
+}
+
+// Reference images are inset along the bottom edge so they visibly count
+const generateImage = async ({prompt, inputFile, references = [], signal}) => {
+  await sleep(config.mockDelay, signal)
+
+  const img = await loadImage(inputFile)
+  const canvas = document.createElement('canvas')
+  const ctx = canvas.getContext('2d')
+  canvas.width = img.width
+  canvas.height = img.height
+  drawFiltered(ctx, img, getFilter(prompt))
+
+  const insets = await Promise.all(references.map(loadImage))
+  const size = canvas.width / 4
+  insets.forEach((inset, i) => {
+    const height = (size * inset.height) / inset.width
+    ctx.drawImage(
+      inset,
+      canvas.width - (size + 10) * (i + 1),
+      canvas.height - height - 10,
+      size,
+      height
+    )
+  })
+
+  return canvas.toDataURL('image/png')
+}
+
+// Records a slow zoom over the filtered input, a little deeper for each
+// further candidate
+const recordVideo = async (img, filter, zoom, signal) => {
+  const canvas = document.createElement('canvas')
+  const ctx = canvas.getContext('2d')
+  canvas.width = img.width
+  canvas.height = img.height
+
+  const recorder = new MediaRecorder(canvas.captureStream(30), {
+    mimeType: recordType
+  })
+  const chunks = []
+  recorder.ondataavailable = e => chunks.push(e.data)
+
+  const start = performance.now()
+  const draw = () => {
+    const progress = Math.min((performance.now() - start) / videoDuration, 1)
+    drawFiltered(ctx, img, filter, 1 + progress * zoom)
+    if (progress < 1 && recorder.state === 'recording') {
+      requestAnimationFrame(draw)
+    }
+  }
+
+  const stopped = new Promise(resolve => (recorder.onstop = resolve))
+  recorder.start()
+  draw()
+
+  try {
+    await sleep(videoDuration, signal)
+  } finally {
+    recorder.stop()
+    await stopped
+  }
+
+  return URL.createObjectURL(
+    new Blob(chunks, {type: recorder.mimeType || recordType})
+  )
+}
+
+const generateVideo = async ({prompt, inputFile, options, signal}) => {
+  await sleep(config.mockDelay, signal)
+
+  const img = await loadImage(inputFile)
+  const urls = []
+  for (let i = 0; i < (options?.numberOfVideos || 1); i++) {
+    urls.push(await recordVideo(img, getFilter(prompt), 0.15 * (i + 1), signal))
+  }
+  return urls
+}
+
+export default {
+  name: 'Mock',
+  capabilities: {
+    image: true,
+    video: !!recordType
+  },
+  generateImage,
+  generateVideo
+}
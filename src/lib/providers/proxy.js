@@ -0,0 +1,103 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+// Talks to the generation proxy in server/proxy.js, which holds the API key.
+import config from '../config'
+import {generationError} from '../errors'
+import {sleep} from '../utils'
+
+// Video jobs are polled with a growing interval and abandoned at a deadline
+const firstPoll = 5_000
+const maxPoll = 30_000
+const pollGrowth = 1.5
+const videoDeadline = 6 * 60_000
+
+const request = async (path, {method, body, signal} = {}) => {
+  const response = await fetch(config.proxyUrl + path, {
+    method: method || (body ? 'POST' : 'GET'),
+    headers: body ? {'Content-Type': 'application/json'} : undefined,
+    body: body && JSON.stringify(body),
+    signal
+  })
+
+  if (!response.ok) {
+    const {error} = await response.json().catch(() => ({}))
+    throw Object.assign(
+      generationError(
+        error?.reason || 'unknown',
+        error?.message || `Proxy request failed (${response.status})`
+      ),
+      {status: response.status}
+    )
+  }
+
+  return response
+}
+
+const generateImage = async ({
+  prompt,
+  inputFile,
+  references,
+  safety,
+  signal
+}) => {
+  const response = await request('/image', {
+    body: {prompt, inputFile, references, safety},
+    signal
+  })
+  const {image} = await response.json()
+  return image
+}
+
+// Resolves to an object URL per candidate video. A job that is cancelled or
+// runs past the deadline is cancelled on the server too.
+const generateVideo = async ({prompt, inputFile, options, signal}) => {
+  const deadline = Date.now() + videoDeadline
+  const response = await request('/video', {
+    body: {prompt, inputFile, options},
+    signal
+  })
+  const {id} = await response.json()
+  let delay = firstPoll
+  let count = 0
+
+  try {
+    while (!count) {
+      if (Date.now() + delay > deadline) {
+        throw generationError('timeout', 'Video generation timed out')
+      }
+
+      await sleep(delay, signal)
+      const status = await request(`/video/${id}`, {signal}).then(res =>
+        res.json()
+      )
+      count = status.done ? status.count : 0
+      delay = Math.min(delay * pollGrowth, maxPoll)
+    }
+  } catch (error) {
+    if (signal?.aborted || error.reason === 'timeout') {
+      request(`/video/${id}`, {method: 'DELETE'}).catch(err =>
+        console.warn('Could not cancel video job', err)
+      )
+    }
+    throw error
+  }
+
+  const urls = []
+  for (let i = 0; i < count; i++) {
+    const file = await request(`/video/${id}/file?index=${i}`, {signal})
+    urls.push(URL.createObjectURL(await file.blob()))
+  }
+  return urls
+}
+
+export default {
+  name: 'Gemini',
+  capabilities: {
+    image: true,
+    video: true
+  },
+  generateImage,
+  generateVideo
+}
@@ -0,0 +1,180 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+// Runs generation jobs in order with a concurrency limit per kind ('image' or
+// 'video'). Waiting jobs can be reordered. When the API reports a rate limit,
+// nothing new starts until the back-off expires. Listeners receive a fresh
+// snapshot after every change.
+import {abortError} from './errors'
+import {sleep} from './utils'
+
+const quotaDelay = 5_000
+const maxQuotaDelay = 60_000
+const historySize = 10
+// Used for estimates until a few jobs of that kind have finished
+const typicalDurations = {image: 15_000, video: 90_000}
+
+const concurrency = {image: 2, video: 1}
+const durations = {image: [], video: []}
+const waiting = []
+const running = []
+const listeners = new Set()
+let backoffUntil = 0
+let backoffTimer = null
+let quotaStrikes = 0
+let lastId = 0
+
+const getAverageDuration = kind =>
+  durations[kind].length
+    ? durations[kind].reduce((sum, ms) => sum + ms, 0) / durations[kind].length
+    : typicalDurations[kind]
+
+const describe = ({id, kind, info, createdAt, startedAt}) => ({
+  id,
+  kind,
+  info,
+  createdAt,
+  startedAt
+})
+
+// `eta` is a rough timestamp for when a job should finish
+export const getQueueSnapshot = () => {
+  const now = Date.now()
+  const startAt = Math.max(now, backoffUntil)
+  const positions = {image: 0, video: 0}
+
+  return {
+    backoffUntil: backoffUntil > now ? backoffUntil : null,
+    concurrency: {...concurrency},
+    jobs: [
+      ...running.map(job => ({
+        ...describe(job),
+        status: 'running',
+        eta: job.startedAt + getAverageDuration(job.kind)
+      })),
+      ...waiting.map(job => {
+        const position = positions[job.kind]++
+        const rounds = Math.floor(position / concurrency[job.kind]) + 1
+        return {
+          ...describe(job),
+          status: 'waiting',
+          position,
+          eta: startAt + rounds * getAverageDuration(job.kind)
+        }
+      })
+    ]
+  }
+}
+
+const notify = () => {
+  const snapshot = getQueueSnapshot()
+  listeners.forEach(listener => listener(snapshot))
+}
+
+export const subscribeQueue = listener => {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
+
+const start = async job => {
+  job.startedAt = Date.now()
+  running.push(job)
+
+  try {
+    const result = await job.run()
+    quotaStrikes = 0
+    durations[job.kind] = [
+      ...durations[job.kind],
+      Date.now() - job.startedAt
+    ].slice(-historySize)
+    job.resolve(result)
+  } catch (err) {
+    job.reject(err)
+  } finally {
+    running.splice(running.indexOf(job), 1)
+    pump()
+  }
+}
+
+const pump = () => {
+  const wait = backoffUntil - Date.now()
+  clearTimeout(backoffTimer)
+
+  if (wait > 0) {
+    backoffTimer = setTimeout(pump, wait)
+  } else {
+    for (const job of [...waiting]) {
+      const active = running.filter(r => r.kind === job.kind).length
+      if (active < concurrency[job.kind]) {
+        waiting.splice(waiting.indexOf(job), 1)
+        start(job)
+      }
+    }
+  }
+
+  notify()
+}
+
+// `info` is whatever the UI needs to show the job, e.g. its photo id.
+// Jobs aborted while still waiting are dropped without starting.
+export const enqueueJob = ({kind, info, signal, run}) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(abortError())
+      return
+    }
+
+    const job = {
+      id: ++lastId,
+      kind,
+      info,
+      createdAt: Date.now(),
+      run,
+      resolve,
+      reject
+    }
+
+    signal?.addEventListener(
+      'abort',
+      () => {
+        if (waiting.includes(job)) {
+          waiting.splice(waiting.indexOf(job), 1)
+          reject(abortError())
+          notify()
+        }
+      },
+      {once: true}
+    )
+
+    waiting.push(job)
+    pump()
+  })
+
+export const moveJob = (id, offset) => {
+  const from = waiting.findIndex(job => job.id === id)
+  const to = from + offset
+
+  if (from >= 0 && to >= 0 && to < waiting.length) {
+    waiting.splice(to, 0, ...waiting.splice(from, 1))
+    notify()
+  }
+}
+
+export const prioritizeJob = id =>
+  moveJob(id, -waiting.findIndex(j => j.id === id))
+
+export const setConcurrency = (kind, limit) => {
+  concurrency[kind] = Math.max(1, Math.round(limit) || 1)
+  pump()
+}
+
+// Each rate limit in a row doubles the pause for everyone
+export const reportRateLimit = () => {
+  const delay = Math.min(quotaDelay * 2 ** quotaStrikes++, maxQuotaDelay)
+  backoffUntil = Math.max(backoffUntil, Date.now() + delay)
+  pump()
+}
+
+export const waitForBackoff = signal =>
+  sleep(Math.max(0, backoffUntil - Date.now()), signal)
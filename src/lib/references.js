@@ -0,0 +1,31 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+// Modes can send the model extra images besides the guest's photo, declared
+// under `references` as `{label, source}`. A 'stock' image (an event
+// backdrop, a prop) is attached once by an operator and reused; a 'gallery'
+// image (a second guest to merge) is picked from the session's photos before
+// each snap. The prompt refers to them in order, after the guest's photo.
+import * as db from './db'
+
+export const referenceSources = ['stock', 'gallery']
+
+export const getModeReferences = ({references = {}} = {}) =>
+  Object.entries(references).map(([name, reference]) => ({
+    name,
+    label: name,
+    source: 'stock',
+    ...reference
+  }))
+
+// Reference images are keyed by mode and slot, e.g. 'backdrop/backdrop'
+export const getReferenceKey = (mode, name) => `${mode}/${name}`
+
+export const loadStockReferences = () =>
+  db.entries('stock').then(entries => Object.fromEntries(entries))
+
+export const saveStockReference = (key, url) =>
+  (url ? db.put('stock', key, url) : db.remove('stock', key)).catch(err =>
+    console.warn('Could not save reference image', err)
+  )
@@ -0,0 +1,125 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+// How strict the booth is about content. The profile sets the model's own
+// safety thresholds (the server maps it with getSafetySettings); the block-
+// and allowlists screen what guests type before anything is sent.
+
+// Also imported by the server, which needs the file extension
+import {loadSettings, saveSettings} from './settings.js'
+
+const storageKey = 'gembooth-safety'
+
+export const safetyProfiles = {
+  strict: {
+    name: 'Strict',
+    description: 'Family events: blocks anything with a low chance of harm',
+    threshold: 'BLOCK_LOW_AND_ABOVE'
+  },
+  default: {
+    name: 'Default',
+    description: 'Blocks content with a medium or high chance of harm',
+    threshold: 'BLOCK_MEDIUM_AND_ABOVE'
+  },
+  permissive: {
+    name: 'Permissive',
+    description:
+      'Only blocks content with a high chance of harm. The server must allow it with MIN_SAFETY=permissive.',
+    threshold: 'BLOCK_ONLY_HIGH'
+  }
+}
+
+const safetyCategories = [
+  'HARM_CATEGORY_HATE_SPEECH',
+  'HARM_CATEGORY_SEXUALLY_EXPLICIT',
+  'HARM_CATEGORY_DANGEROUS_CONTENT',
+  'HARM_CATEGORY_HARASSMENT'
+]
+
+export const defaultSafety = {
+  profile: 'default',
+  blocklist: ['nude', 'naked', 'nsfw', 'lingerie', 'gore', 'bloody', 'drugs'],
+  // Phrases exempt from the blocklist, e.g. 'bloody mary'
+  allowlist: []
+}
+
+export const loadSafety = () =>
+  loadSettings(storageKey, defaultSafety, 'safety settings')
+
+export const saveSafety = safety =>
+  saveSettings(storageKey, safety, 'safety settings')
+
+// Least to most strict
+const profileOrder = ['permissive', 'default', 'strict']
+
+// The server's floor wins over whatever profile a client asks for, so a
+// client can only make filtering stricter. Unknown profiles get the floor.
+export const applyMinimumProfile = (profile, minimum) => {
+  const floor = profileOrder.includes(minimum) ? minimum : 'default'
+  return profileOrder.indexOf(profile) > profileOrder.indexOf(floor)
+    ? profile
+    : floor
+}
+
+// Unknown profiles get the default rather than no filtering
+export const getSafetySettings = profile => {
+  const {threshold} = safetyProfiles[profile] || safetyProfiles.default
+  return safetyCategories.map(category => ({category, threshold}))
+}
+
+const escapeRegExp = str => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+// Scripts written without spaces between words, where a term can only be
+// found as a substring
+const unspacedScript =
+  /^[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}\p{Script=Lao}\p{Script=Khmer}\p{Script=Myanmar}]/u
+
+const termPattern = term =>
+  new RegExp(
+    unspacedScript.test(term)
+      ? escapeRegExp(term)
+      : `(?<![\\p{L}\\p{N}])${escapeRegExp(term)}`,
+    'iu'
+  )
+
+// Returns the first blocked term in `text`, or null. Terms match at the start
+// of a word, so 'nude' also catches 'nudes'; terms in Chinese, Japanese, Thai
+// and other scripts without word breaks match anywhere. Allowlisted phrases
+// are ignored.
+export const checkPrompt = (text, {blocklist = [], allowlist = []}) => {
+  const cleaned = allowlist
+    .filter(phrase => phrase.trim())
+    .reduce(
+      (rest, phrase) =>
+        rest.replace(new RegExp(escapeRegExp(phrase.trim()), 'giu'), ' '),
+      text || ''
+    )
+
+  return (
+    blocklist
+      .map(term => term.trim())
+      .find(term => term && termPattern(term).test(cleaned)) || null
+  )
+}
+
+const blockReasons = {
+  SAFETY: 'safety filters',
+  IMAGE_SAFETY: 'image safety filters',
+  PROHIBITED_CONTENT: 'prohibited content',
+  BLOCKLIST: 'blocked terms',
+  SPII: 'personal information',
+  RECITATION: 'recitation',
+  OTHER: 'an unspecified reason'
+}
+
+// Turns a finishReason or blockReason, plus any categories rated as blocked,
+// into something a guest can read
+export const describeBlockReason = (reason, categories = []) => {
+  const names = categories.map(category =>
+    category.replace('HARM_CATEGORY_', '').replace(/_/g, ' ').toLowerCase()
+  )
+  return `${blockReasons[reason] || reason.toLowerCase().replace(/_/g, ' ')}${
+    names.length ? ` (${names.join(', ')})` : ''
+  }`
+}
@@ -0,0 +1,24 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+// Settings kept in localStorage as JSON. Saved fields are merged over the
+// defaults, so settings added later start out with their default. Storage
+// can be full or unavailable (e.g. private browsing), which only warns.
+export const loadSettings = (storageKey, defaults, label) => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(storageKey))
+    return {...defaults, ...saved}
+  } catch (err) {
+    console.warn(`Could not load ${label}`, err)
+    return {...defaults}
+  }
+}
+
+export const saveSettings = (storageKey, settings, label) => {
+  try {
+    localStorage.setItem(storageKey, JSON.stringify(settings))
+  } catch (err) {
+    console.warn(`Could not save ${label}`, err)
+  }
+}
\ No newline at end of file
@@ -0,0 +1,36 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+import config from './config'
+
+export const toFile = async (url, name) => {
+  const blob = await fetch(url).then(res => res.blob())
+  return new File([blob], name, {type: blob.type})
+}
+
+export const canShareFile = file => !!navigator.canShare?.({files: [file]})
+
+export const shareFile = file =>
+  navigator.share({files: [file], title: 'GemBooth', text: config.shareText})
+
+// Hands the file to the local server so a phone can fetch it from the QR link
+export const uploadShare = async file => {
+  const response = await fetch(`${config.proxyUrl}/share`, {
+    method: 'POST',
+    headers: {'Content-Type': file.type, 'X-File-Name': file.name},
+    body: file
+  })
+
+  if (!response.ok) {
+    throw new Error(`Upload failed (${response.status})`)
+  }
+
+  const {url} = await response.json()
+  return url
+}
+
+export const getChannelUrl = (channel, link) =>
+  channel.url
+    .replaceAll('{text}', encodeURIComponent(config.shareText))
+    .replaceAll('{url}', encodeURIComponent(link || ''))
@@ -6,17 +6,58 @@ import 'immer'
 import {create} from 'zustand'
 import {immer} from 'zustand/middleware/immer'
 import {createSelectorFunctions} from 'auto-zustand-selectors-hook'
-import modes from './modes'
+import {loadLibrary} from './modeLibrary'
+import {loadBranding} from './branding'
+import {loadKiosk} from './kiosk'
+import {loadCamera} from './camera'
+import {getQueueSnapshot} from './queue'
+import {loadSafety} from './safety'
+
+const {modes, modeOrder} = loadLibrary()
 
 export default createSelectorFunctions(
   create(
     immer(() => ({
       didInit: false,
       photos: [],
-      activeMode: Object.keys(modes)[0],
+      modes,
+      modeOrder,
+      activeMode: modeOrder[0] || 'custom',
+      multiMode: false,
+      selectedModes: [],
       gifInProgress: false,
+      gifProgress: null,
       gifUrl: null,
-      customPrompt: ''
+      exportInProgress: null,
+      exportProgress: null,
+      exportError: null,
+      gifSettings: {
+        aspect: '1:1',
+        fit: 'contain',
+        inputDelay: 333,
+        outputDelay: 833,
+        crossfade: false,
+        videoFrames: 8
+      },
+      customPrompt: '',
+      promptValues: {},
+      referenceValues: {},
+      stockReferences: {},
+      countdown: 0,
+      burstMode: false,
+      branding: loadBranding(),
+      printSettings: {
+        layout: 'single',
+        margin: 0,
+        bleed: 0.125,
+        branded: true
+      },
+      printQueue: [],
+      printInProgress: false,
+      kiosk: loadKiosk(),
+      camera: loadCamera(),
+      safety: loadSafety(),
+      queue: getQueueSnapshot()
     }))
   )
 )
@@ -0,0 +1,29 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+import {useEffect, useState} from 'react'
+
+// Re-renders every `interval` ms while `active`, for countdowns and timers
+export const useNow = (active = true, interval = 1000) => {
+  const [now, setNow] = useState(Date.now)
+
+  useEffect(() => {
+    if (!active) {
+      return
+    }
+
+    setNow(Date.now())
+    const timer = setInterval(() => setNow(Date.now()), interval)
+    return () => clearInterval(timer)
+  }, [active, interval])
+
+  return now
+}
+
+export const formatDuration = ms => {
+  const seconds = Math.max(0, Math.round(ms / 1000))
+  return seconds < 60
+    ? `${seconds}s`
+    : `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`
+}
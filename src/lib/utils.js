@@ -0,0 +1,73 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+// Also imported by the server, which needs the file extension
+import {abortError} from './errors.js'
+
+export const sleep = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(abortError())
+      return
+    }
+
+    // The listener is removed once the timer fires, so long-lived signals
+    // (e.g. one polling a video job) don't collect them
+    const onAbort = () => {
+      clearTimeout(timer)
+      reject(abortError())
+    }
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort)
+      resolve()
+    }, ms)
+    signal?.addEventListener('abort', onAbort, {once: true})
+  })
+
+export const parseDataUrl = dataUrl => {
+  const [meta, data] = dataUrl.split(',')
+  const mimeType = (meta.match(/:(.*?);/) || [])[1] || 'image/jpeg'
+  return {data, mimeType}
+}
+
+export const readFile = file =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader()
+    reader.onload = () => resolve(reader.result)
+    reader.onerror = () => reject(reader.error)
+    reader.readAsDataURL(file)
+  })
+
+export const loadImage = src =>
+  new Promise((resolve, reject) => {
+    const img = new Image()
+    img.onload = () => resolve(img)
+    img.onerror = reject
+    img.src = src
+  })
+
+// Recorded webm often reports an Infinity duration until the browser has
+// read to the end, so this seeks past the end to find it. Falls back to
+// `fallback` seconds if it still isn't known.
+export const getVideoDuration = (video, fallback = 5) =>
+  Number.isFinite(video.duration)
+    ? Promise.resolve(video.duration)
+    : new Promise(resolve => {
+        video.onseeked = () => {
+          video.onseeked = null
+          resolve(Number.isFinite(video.duration) ? video.duration : fallback)
+        }
+        video.currentTime = Number.MAX_SAFE_INTEGER
+      })
+
+export const loadVideo = src =>
+  new Promise((resolve, reject) => {
+    const video = document.createElement('video')
+    video.muted = true
+    video.playsInline = true
+    video.preload = 'auto'
+    video.onloadeddata = () => resolve(video)
+    video.onerror = reject
+    video.src = src
+  })
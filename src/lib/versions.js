@@ -0,0 +1,29 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+// A refined photo keeps every version it has been through as a tree: each
+// version points at the one it was edited from. The original output is the
+// root; its image stays in imageData.versions next to the refinements.
+export const rootVersionId = 'original'
+
+export const createRootVersion = ({createdAt}) => ({
+  id: rootVersionId,
+  parentId: null,
+  prompt: null,
+  createdAt
+})
+
+export const createVersion = (parentId, prompt) => ({
+  id: crypto.randomUUID(),
+  parentId,
+  prompt,
+  createdAt: Date.now()
+})
+
+export const getChildVersions = (versions, parentId) =>
+  versions.filter(version => version.parentId === parentId)
+
+export const getRefinePrompt = instruction =>
+  `Edit this image: ${instruction}. Keep everything else about the image, ` +
+  'including the people, pose and composition, exactly the same.'
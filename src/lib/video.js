@@ -0,0 +1,33 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+// Options a video mode can declare under `videoOptions`; anything left out
+// falls back to the model's default. Shared with the server, which only
+// passes on what survives parseVideoOptions.
+export const videoAspectRatios = ['16:9', '9:16']
+export const videoDurations = [5, 6, 7, 8]
+export const maxVideoCandidates = 4
+
+export const parseVideoOptions = options => {
+  const {aspectRatio, durationSeconds, negativePrompt, numberOfVideos} =
+    options && typeof options === 'object' ? options : {}
+
+  return {
+    aspectRatio: videoAspectRatios.includes(aspectRatio)
+      ? aspectRatio
+      : undefined,
+    durationSeconds: videoDurations.includes(Number(durationSeconds))
+      ? Number(durationSeconds)
+      : undefined,
+    negativePrompt:
+      typeof negativePrompt === 'string' && negativePrompt.trim()
+        ? negativePrompt.trim()
+        : undefined,
+    // Guests choose between the candidates once they're ready
+    numberOfVideos: Math.min(
+      Math.max(Math.round(Number(numberOfVideos)) || 1, 1),
+      maxVideoCandidates
+    )
+  }
+}
@@ -1,13 +1,35 @@
 import path from 'path';
 import { defineConfig, loadEnv } from 'vite';
+import { createProxy } from './server/proxy.js';
 
 export default defineConfig(({ mode }) => {
     const env = loadEnv(mode, '.', '');
+    const proxy = createProxy({
+      apiKey: env.GEMINI_API_KEY,
+      rateLimit: Number(env.RATE_LIMIT) || undefined,
+      shareRateLimit: Number(env.SHARE_RATE_LIMIT) || undefined,
+      publicUrl: env.PUBLIC_URL,
+      minSafety: env.MIN_SAFETY,
+      imageModel: env.IMAGE_MODEL,
+      videoModel: env.VIDEO_MODEL
+    });
     return {
+      // The API key is only read by the proxy middleware and never bundled
       define: {
-        'process.env.API_KEY': JSON.stringify(env.GEMINI_API_KEY),
-        'process.env.GEMINI_API_KEY': JSON.stringify(env.GEMINI_API_KEY)
+        'process.env.PROVIDER': JSON.stringify(env.PROVIDER),
+        'process.env.SHARE_CHANNELS': JSON.stringify(env.SHARE_CHANNELS)
       },
+      plugins: [
+        {
+          name: 'gembooth-proxy',
+          configureServer(server) {
+            server.middlewares.use(proxy);
+          },
+          configurePreviewServer(server) {
+            server.middlewares.use(proxy);
+          }
+        }
+      ],
       resolve: {
         alias: {
           '@': path.resolve(__dirname, '.'),